@@ -0,0 +1,226 @@
+'use strict';
+
+const { Timestamp } = require('mongodb');
+
+const { deepCopy } = require('./query');
+
+/**
+ * Connection of one server instance to a pub/sub adapter.
+ *
+ * @typedef {object} AdapterConnection
+ * @property {(message: object) => Promise<void>} publish Delivers a message to every other attached instance.
+ * @property {(name: string, ttlMs: number) => Promise<boolean>} acquireLease Takes or renews a named lease; resolves `true` while this instance holds it.
+ * @property {(name: string) => Promise<void>} releaseLease Gives up a lease held by this instance.
+ * @property {() => Promise<void>} close Detaches the instance from the adapter.
+ * @property {string[]} [reservedCollections] Collections of the server's database owned by the adapter. The server never watches them nor lets clients read or write them.
+ */
+
+/**
+ * Adapter sharing messages and leases between server instances of the same
+ * process. It is the default adapter; pass one instance to several servers to
+ * let them cooperate.
+ */
+class MemoryAdapter {
+  #members = new Map();
+  #leases = new Map();
+
+  /**
+   * @param {{instanceId: string, onMessage: (message: object) => void}} options
+   * @returns {Promise<AdapterConnection>}
+   */
+  async attach({ instanceId, onMessage }) {
+    this.#members.set(instanceId, onMessage);
+
+    return {
+      publish: async (message) => {
+        for (const [memberId, deliver] of this.#members) {
+          if (memberId !== instanceId) {
+            const copy = deepCopy(message);
+            setImmediate(() => deliver(copy));
+          }
+        }
+      },
+      acquireLease: async (name, ttlMs) => {
+        const now = Date.now();
+        const lease = this.#leases.get(name);
+        if (lease && lease.owner !== instanceId && lease.expiresAt > now) {
+          return false;
+        }
+        this.#leases.set(name, { owner: instanceId, expiresAt: now + ttlMs });
+        return true;
+      },
+      releaseLease: async (name) => {
+        if (this.#leases.get(name)?.owner === instanceId) {
+          this.#leases.delete(name);
+        }
+      },
+      close: async () => {
+        this.#members.delete(instanceId);
+      },
+    };
+  }
+}
+
+/**
+ * Adapter backed by MongoDB, so instances running on different hosts can
+ * cooperate without another service. Messages go through a capped collection
+ * read with a tailable cursor, and leases live in a regular collection.
+ */
+class MongoCappedAdapter {
+  /**
+   * @param {object} [options={}]
+   * @param {import('mongodb').Db} [options.db] Database to use. Defaults to the server's database.
+   * @param {string} [options.collectionName='realtime_messages'] Capped collection carrying messages.
+   * @param {string} [options.leaseCollectionName='realtime_leases'] Collection storing leases.
+   * @param {number} [options.size=16777216] Size in bytes of the capped collection when it is created.
+   */
+  constructor(options = {}) {
+    this.db = options.db ?? null;
+    this.collectionName = options.collectionName ?? 'realtime_messages';
+    this.leaseCollectionName = options.leaseCollectionName ?? 'realtime_leases';
+    this.size = options.size ?? 16 * 1024 * 1024;
+  }
+
+  /**
+   * @param {{instanceId: string, db: import('mongodb').Db, logger?: {warn?: Function}, onMessage: (message: object) => void}} options
+   * @returns {Promise<AdapterConnection>}
+   */
+  async attach({ instanceId, db, logger, onMessage }) {
+    const database = this.db ?? db;
+    const messages = await this.#openCappedCollection(database);
+    const leases = database.collection(this.leaseCollectionName);
+
+    const { insertedId } = await messages.insertOne({
+      ts: serverTimestamp(),
+      origin: instanceId,
+    });
+    const { ts: startedAt } = await messages.findOne({ _id: insertedId });
+    const tail = tailMessages(messages, {
+      instanceId,
+      startedAt,
+      logger,
+      onMessage,
+    });
+
+    return {
+      reservedCollections:
+        database.databaseName === db?.databaseName
+          ? [this.collectionName, this.leaseCollectionName]
+          : [],
+      publish: async (message) => {
+        await messages.insertOne({
+          ts: serverTimestamp(),
+          origin: instanceId,
+          message,
+        });
+      },
+      acquireLease: async (name, ttlMs) => {
+        const now = new Date();
+        try {
+          const lease = await leases.findOneAndUpdate(
+            {
+              _id: name,
+              $or: [{ owner: instanceId }, { expiresAt: { $lte: now } }],
+            },
+            {
+              $set: {
+                owner: instanceId,
+                expiresAt: new Date(now.getTime() + ttlMs),
+              },
+            },
+            { upsert: true, returnDocument: 'after' },
+          );
+          return lease?.owner === instanceId;
+        } catch (error) {
+          if (error?.code === 11000) {
+            return false;
+          }
+          throw error;
+        }
+      },
+      releaseLease: async (name) => {
+        await leases.deleteOne({ _id: name, owner: instanceId });
+      },
+      close: async () => {
+        await tail.close();
+      },
+    };
+  }
+
+  async #openCappedCollection(db) {
+    try {
+      await db.createCollection(this.collectionName, {
+        capped: true,
+        size: this.size,
+      });
+    } catch (error) {
+      if (error?.codeName !== 'NamespaceExists' && error?.code !== 48) {
+        throw error;
+      }
+    }
+    return db.collection(this.collectionName);
+  }
+}
+
+/**
+ * Empty timestamp, replaced on insert by the server with a value that is
+ * unique and only ever increases, whatever the clocks of the instances say.
+ */
+function serverTimestamp() {
+  return new Timestamp({ t: 0, i: 0 });
+}
+
+/**
+ * Follows the capped collection with a tailable cursor and hands every message
+ * published by another instance to `onMessage`. Whenever the cursor dies, it is
+ * reopened after the server timestamp of the last message seen.
+ */
+function tailMessages(messages, { instanceId, startedAt, logger, onMessage }) {
+  let cursor = null;
+  let closed = false;
+  let lastSeen = startedAt;
+
+  const run = async () => {
+    let delay = 100;
+    while (!closed) {
+      try {
+        cursor = messages.find(
+          { ts: { $gt: lastSeen } },
+          { tailable: true, awaitData: true },
+        );
+        for await (const document of cursor) {
+          lastSeen = document.ts;
+          delay = 100;
+          if (document.origin !== instanceId && document.message) {
+            onMessage(document.message);
+          }
+        }
+      } catch (error) {
+        if (!closed) {
+          logger?.warn?.(
+            `MongoRealTime adapter cursor failed, reopening it: ${error.message}`,
+          );
+        }
+      }
+
+      if (!closed) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, 5 * 1000);
+      }
+    }
+  };
+  const running = run();
+
+  return {
+    close: async () => {
+      closed = true;
+      await cursor?.close().catch(() => {});
+      await running;
+    },
+  };
+}
+
+module.exports = {
+  MemoryAdapter,
+  MongoCappedAdapter,
+};
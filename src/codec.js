@@ -0,0 +1,154 @@
+'use strict';
+
+const { decode: decodeMsgpack, encode: encodeMsgpack } = require('@msgpack/msgpack');
+const { BSON } = require('mongodb');
+
+const { isPlainObject } = require('./query');
+
+const MSGPACK_PROTOCOL = 'mongo-realtime.msgpack';
+const BSON_PROTOCOL = 'mongo-realtime.bson';
+const WIRE_PROTOCOLS = [MSGPACK_PROTOCOL, BSON_PROTOCOL];
+
+/**
+ * Picks the binary subprotocol to use from the ones a client offered during
+ * the upgrade, honouring the client's order. When none is supported, the
+ * first offered subprotocol is accepted like `ws` does by default, so clients
+ * using subprotocols for other purposes keep working with JSON.
+ *
+ * @param {Set<string>} protocols Subprotocols offered by the client.
+ * @returns {string|false}
+ */
+function selectWireProtocol(protocols) {
+  for (const protocol of protocols) {
+    if (WIRE_PROTOCOLS.includes(protocol)) {
+      return protocol;
+    }
+  }
+  const [first] = protocols;
+  return first ?? false;
+}
+
+/**
+ * Builds the encoder/decoder for one socket.
+ *
+ * - JSON (no subprotocol) sends text frames, or Extended JSON when `ejson`
+ *   is `relaxed`/`canonical`.
+ * - `mongo-realtime.bson` sends binary BSON frames that keep every BSON type,
+ *   so `ejson` is ignored.
+ * - `mongo-realtime.msgpack` sends binary MessagePack frames. Dates use the
+ *   MessagePack timestamp extension and other BSON values are flattened like
+ *   JSON, unless `ejson` is set, in which case the Extended JSON wrappers are
+ *   encoded instead.
+ *
+ * @param {string} [protocol] Negotiated subprotocol, `''` for JSON.
+ * @param {'relaxed'|'canonical'|null} [ejson=null] Extended JSON mode.
+ * @returns {{encode: (payload: object) => string|Buffer, decode: (buffer: Buffer|string) => unknown}}
+ */
+function createCodec(protocol, ejson = null) {
+  if (protocol === BSON_PROTOCOL) {
+    return bsonCodec;
+  }
+
+  const relaxed = ejson === 'relaxed';
+  if (protocol === MSGPACK_PROTOCOL) {
+    return {
+      encode: (payload) =>
+        encodeMsgpackBuffer(
+          ejson
+            ? BSON.EJSON.serialize(payload, { relaxed })
+            : toMsgpackValue(payload),
+        ),
+      decode: (buffer) => {
+        const value = decodeMsgpack(buffer);
+        return ejson
+          ? unwrapEjsonNumbers(BSON.EJSON.deserialize(value, { relaxed }))
+          : value;
+      },
+    };
+  }
+
+  if (!ejson) {
+    return jsonCodec;
+  }
+
+  return {
+    encode: (payload) => BSON.EJSON.stringify(payload, { relaxed }),
+    decode: (buffer) =>
+      unwrapEjsonNumbers(BSON.EJSON.parse(toText(buffer), { relaxed })),
+  };
+}
+
+const jsonCodec = {
+  encode: (payload) => JSON.stringify(payload),
+  decode: (buffer) => JSON.parse(toText(buffer)),
+};
+
+const bsonCodec = {
+  encode: (payload) =>
+    Buffer.from(BSON.serialize(payload, { ignoreUndefined: true })),
+  decode: (buffer) => BSON.deserialize(buffer),
+};
+
+function encodeMsgpackBuffer(value) {
+  const bytes = encodeMsgpack(value, { ignoreUndefined: true });
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Mirrors the JSON view of a payload for MessagePack, except that dates stay
+ * native and are sent with the timestamp extension.
+ */
+function toMsgpackValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(toMsgpackValue);
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, toMsgpackValue(entry)]),
+    );
+  }
+  if (typeof value?.toJSON === 'function') {
+    return toMsgpackValue(value.toJSON());
+  }
+  return value;
+}
+
+/**
+ * Canonical Extended JSON reads every number as an `Int32` or `Double`
+ * wrapper. Turns them back into plain numbers when no type information is
+ * lost, so fields such as `limit` keep working; integral doubles stay wrapped
+ * and are still stored as doubles.
+ */
+function unwrapEjsonNumbers(value) {
+  if (Array.isArray(value)) {
+    return value.map(unwrapEjsonNumbers);
+  }
+  if (value?._bsontype === 'Int32') {
+    return value.value;
+  }
+  if (value?._bsontype === 'Double' && !Number.isInteger(value.value)) {
+    return value.value;
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      unwrapEjsonNumbers(entry),
+    ]),
+  );
+}
+
+function toText(buffer) {
+  return Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer);
+}
+
+module.exports = {
+  createCodec,
+  selectWireProtocol,
+};
@@ -2,6 +2,9 @@
 
 const dotenv = require("dotenv");
 
+// Longest delay `setTimeout` accepts; longer ones fire immediately.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
 let loaded = false;
 
 /**
@@ -26,7 +29,15 @@ function loadEnvironment() {
  * @param {string} [overrides.mongoUri] MongoDB connection URI.
  * @param {string} [overrides.dbName] MongoDB database name.
  * @param {number} [overrides.cacheTtlMs] Cache TTL in milliseconds.
- * @returns {{host: string, port: number, path: string, mongoUri: string, dbName: string, cacheTtlMs: number}}
+ * @param {number} [overrides.resumeWindowMs] How long subscriptions of a closed socket stay resumable.
+ * @param {number} [overrides.heartbeatIntervalMs] Interval between heartbeat pings.
+ * @param {number} [overrides.heartbeatTimeoutMs] Time a socket has to answer a heartbeat ping.
+ * @param {number} [overrides.batchWindowMs] How long live events are collected before being sent as one batch.
+ * @param {number} [overrides.maxBatchWindowMs] Upper bound for the batching window a client may request.
+ * @param {number} [overrides.resumeBufferSize] Maximum number of live events kept per subscription for resuming.
+ * @param {number} [overrides.highWaterMark] Buffered bytes above which live events to a socket are paused.
+ * @param {number} [overrides.maxBufferedAmount] Buffered bytes above which a socket is closed, `0` to never close.
+ * @returns {{host: string, port: number, path: string, mongoUri: string, dbName: string, cacheTtlMs: number, resumeWindowMs: number, heartbeatIntervalMs: number, heartbeatTimeoutMs: number, batchWindowMs: number, maxBatchWindowMs: number, resumeBufferSize: number, highWaterMark: number, maxBufferedAmount: number}}
  */
 function readEnvironmentOptions(overrides = {}) {
   loadEnvironment();
@@ -46,19 +57,67 @@ function readEnvironmentOptions(overrides = {}) {
       process.env.MONGO_DB ||
       "mongo_realtime_test",
     cacheTtlMs:
-      normalizeCacheTtlMs(overrides.cacheTtlMs) ||
-      normalizeCacheTtlMs(process.env.CACHE_TTL_MS) ||
-      normalizeCacheTtlMs(process.env.CACHE_TTL_SECONDS, { seconds: true }) ||
+      normalizeDurationMs(overrides.cacheTtlMs) ||
+      normalizeDurationMs(process.env.CACHE_TTL_MS) ||
+      normalizeDurationMs(process.env.CACHE_TTL_SECONDS, { seconds: true }) ||
       5 * 60 * 1000,
+    resumeWindowMs:
+      normalizeDurationMs(overrides.resumeWindowMs) ??
+      normalizeDurationMs(process.env.RESUME_WINDOW_MS) ??
+      30 * 1000,
+    heartbeatIntervalMs:
+      normalizeDurationMs(overrides.heartbeatIntervalMs) ??
+      normalizeDurationMs(process.env.HEARTBEAT_INTERVAL_MS) ??
+      30 * 1000,
+    heartbeatTimeoutMs:
+      normalizeDurationMs(overrides.heartbeatTimeoutMs) ??
+      normalizeDurationMs(process.env.HEARTBEAT_TIMEOUT_MS) ??
+      10 * 1000,
+    batchWindowMs:
+      normalizeDurationMs(overrides.batchWindowMs) ??
+      normalizeDurationMs(process.env.BATCH_WINDOW_MS) ??
+      0,
+    maxBatchWindowMs:
+      normalizeDurationMs(overrides.maxBatchWindowMs) ??
+      normalizeDurationMs(process.env.MAX_BATCH_WINDOW_MS) ??
+      60 * 1000,
+    resumeBufferSize:
+      normalizeCount(overrides.resumeBufferSize, 1) ??
+      normalizeCount(process.env.RESUME_BUFFER_SIZE, 1) ??
+      100,
+    highWaterMark:
+      normalizeCount(overrides.highWaterMark) ??
+      normalizeCount(process.env.HIGH_WATER_MARK) ??
+      1024 * 1024,
+    maxBufferedAmount:
+      normalizeCount(overrides.maxBufferedAmount) ??
+      normalizeCount(process.env.MAX_BUFFERED_AMOUNT) ??
+      0,
   };
 }
 
 /**
- * @param {unknown} value Candidate TTL value.
+ * @param {unknown} value Candidate count or size value.
+ * @param {number} [minimum=0] Smallest accepted value.
+ * @returns {number|undefined}
+ */
+function normalizeCount(value, minimum = 0) {
+  if (typeof value === "string" && value.trim() !== "") {
+    value = Number(value);
+  }
+
+  return Number.isInteger(value) && value >= minimum ? value : undefined;
+}
+
+/**
+ * Durations are capped at `MAX_TIMER_DELAY_MS` so they can be used as timer
+ * delays.
+ *
+ * @param {unknown} value Candidate duration value.
  * @param {{seconds?: boolean}} [options]
  * @returns {number|undefined}
  */
-function normalizeCacheTtlMs(value, options = {}) {
+function normalizeDurationMs(value, options = {}) {
   if (typeof value === "string" && value.trim() !== "") {
     value = Number(value);
   }
@@ -67,7 +126,10 @@ function normalizeCacheTtlMs(value, options = {}) {
     return undefined;
   }
 
-  return options.seconds ? Math.round(value * 1000) : value;
+  return Math.min(
+    options.seconds ? Math.round(value * 1000) : value,
+    MAX_TIMER_DELAY_MS,
+  );
 }
 
 /**
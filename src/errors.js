@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Error reported to clients with a machine readable `code` and optional
+ * structured `details` next to the human readable message.
+ */
+class RealtimeError extends Error {
+  /**
+   * @param {string} message Human readable error message.
+   * @param {object} [options={}]
+   * @param {string} [options.code='error'] Machine readable error code.
+   * @param {object} [options.details] Extra data sent to the client.
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'RealtimeError';
+    this.code = options.code ?? 'error';
+    this.details = options.details;
+  }
+}
+
+/**
+ * Raised when the `authorize` option denies an operation.
+ */
+class AuthorizationError extends RealtimeError {
+  /**
+   * @param {string} [message] Human readable error message.
+   * @param {object} [details] Extra data sent to the client.
+   */
+  constructor(message = 'Not authorized.', details) {
+    super(message, { code: 'forbidden', details });
+    this.name = 'AuthorizationError';
+  }
+}
+
+/**
+ * Raised when a write does not satisfy the schema of its collection. Every
+ * violation names the offending field path.
+ */
+class ValidationError extends RealtimeError {
+  /**
+   * @param {{path: string, message: string}[]} errors Schema violations.
+   * @param {object} [details] Extra data sent to the client.
+   */
+  constructor(errors, details = {}) {
+    super(
+      `Document failed validation: ${errors
+          .map(({ path, message }) => (path ? `${path} ${message}` : message))
+          .join('; ')}.`,
+      { code: 'invalid', details: { ...details, errors } },
+    );
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  AuthorizationError,
+  RealtimeError,
+  ValidationError,
+};
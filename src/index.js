@@ -1,6 +1,12 @@
 'use strict';
 
+const { MemoryAdapter, MongoCappedAdapter } = require('./adapter');
 const { loadEnvironment } = require('./env');
+const {
+  AuthorizationError,
+  RealtimeError,
+  ValidationError,
+} = require('./errors');
 const { MongoRealTimeServer } = require('./server');
 
 loadEnvironment();
@@ -8,8 +14,20 @@ loadEnvironment();
 /**
  * Public package export.
  *
- * @type {{MongoRealTimeServer: typeof import('./server').MongoRealTimeServer}}
+ * @type {{
+ *   MongoRealTimeServer: typeof import('./server').MongoRealTimeServer,
+ *   MemoryAdapter: typeof import('./adapter').MemoryAdapter,
+ *   MongoCappedAdapter: typeof import('./adapter').MongoCappedAdapter,
+ *   RealtimeError: typeof import('./errors').RealtimeError,
+ *   AuthorizationError: typeof import('./errors').AuthorizationError,
+ *   ValidationError: typeof import('./errors').ValidationError,
+ * }}
  */
 module.exports = {
+  AuthorizationError,
+  MemoryAdapter,
+  MongoCappedAdapter,
   MongoRealTimeServer,
+  RealtimeError,
+  ValidationError,
 };
@@ -0,0 +1,71 @@
+'use strict';
+
+const { isDeepStrictEqual } = require('node:util');
+
+const { deepCopy, isPlainObject } = require('./query');
+
+/**
+ * Computes the JSON Patch (RFC 6902) operations that turn `before` into
+ * `after`. Only `add`, `replace` and `remove` are emitted; applying them in
+ * order to a copy of `before` yields a document deeply equal to `after`.
+ *
+ * @param {object} before Previous version of the document.
+ * @param {object} after Current version of the document.
+ * @returns {{op: 'add'|'replace'|'remove', path: string, value?: unknown}[]}
+ */
+function diffDocuments(before, after) {
+  const operations = [];
+  diffValues(before, after, '', operations);
+  return operations;
+}
+
+function diffValues(before, after, path, operations) {
+  if (isDeepStrictEqual(before, after)) {
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) {
+        operations.push({ op: 'remove', path: joinPointer(path, key) });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      const childPath = joinPointer(path, key);
+      if (Object.prototype.hasOwnProperty.call(before, key)) {
+        diffValues(before[key], value, childPath, operations);
+      } else {
+        operations.push({ op: 'add', path: childPath, value: deepCopy(value) });
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const shared = Math.min(before.length, after.length);
+    for (let index = 0; index < shared; index += 1) {
+      diffValues(before[index], after[index], joinPointer(path, index), operations);
+    }
+    for (let index = before.length - 1; index >= after.length; index -= 1) {
+      operations.push({ op: 'remove', path: joinPointer(path, index) });
+    }
+    for (let index = before.length; index < after.length; index += 1) {
+      operations.push({
+        op: 'add',
+        path: joinPointer(path, index),
+        value: deepCopy(after[index]),
+      });
+    }
+    return;
+  }
+
+  operations.push({ op: 'replace', path, value: deepCopy(after) });
+}
+
+function joinPointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+module.exports = {
+  diffDocuments,
+};
@@ -2,16 +2,40 @@
 
 const { isDeepStrictEqual } = require('node:util');
 
+const { AuthorizationError, RealtimeError } = require('./errors');
+
+/**
+ * Copies plain objects and arrays recursively. BSON values such as `ObjectId`
+ * or `Decimal128` are kept as they are and dates are cloned, so documents keep
+ * their types. Like `JSON.stringify`, `undefined` fields are dropped.
+ */
 function deepCopy(value) {
-  if (value === undefined) {
-    return undefined;
+  if (Array.isArray(value)) {
+    return value.map((item) => (item === undefined ? null : deepCopy(item)));
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (!isPlainObject(value)) {
+    return value;
   }
 
-  return JSON.parse(JSON.stringify(value));
+  const copy = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry !== undefined && typeof entry !== 'function') {
+      copy[key] = deepCopy(entry);
+    }
+  }
+  return copy;
 }
 
 function isPlainObject(value) {
-  return Object.prototype.toString.call(value) === '[object Object]';
+  if (Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
 }
 
 function readPath(document, path) {
@@ -33,38 +57,416 @@ function writePath(document, path, value) {
 
   for (let index = 0; index < segments.length - 1; index += 1) {
     const segment = segments[index];
-    if (!isPlainObject(current[segment])) {
-      current[segment] = {};
+    if (!isPlainObject(current[segment]) && !Array.isArray(current[segment])) {
+      setChild(current, segment, {});
     }
     current = current[segment];
   }
 
-  current[segments[segments.length - 1]] = value;
+  setChild(current, segments[segments.length - 1], value);
 }
 
-function compareValues(left, right) {
-  if (left === right) {
-    return 0;
+/**
+ * Sets `container[segment]`, padding arrays with `null` up to a numeric
+ * segment like MongoDB does.
+ */
+function setChild(container, segment, value) {
+  if (Array.isArray(container) && /^\d+$/.test(segment)) {
+    const index = Number(segment);
+    while (container.length < index) {
+      container.push(null);
+    }
+    container[index] = value;
+    return;
   }
-  if (left == null) {
-    return -1;
+  container[segment] = value;
+}
+
+/**
+ * BSON comparison order of the value types, from `MinKey` to `MaxKey`.
+ */
+const BSON_TYPE_RANKS = {
+  MinKey: 0,
+  null: 1,
+  number: 2,
+  string: 3,
+  object: 4,
+  array: 5,
+  binData: 6,
+  objectId: 7,
+  boolean: 8,
+  date: 9,
+  timestamp: 10,
+  regex: 11,
+  MaxKey: 12,
+};
+
+const NUMERIC_BSON_TYPES = new Set(['Decimal128', 'Double', 'Int32', 'Long']);
+
+function bsonTypeRank(value) {
+  if (value == null) {
+    return BSON_TYPE_RANKS.null;
+  }
+  if (typeof value === 'number' || typeof value === 'bigint' ||
+      NUMERIC_BSON_TYPES.has(value._bsontype)) {
+    return BSON_TYPE_RANKS.number;
+  }
+  if (typeof value === 'string' || value._bsontype === 'BSONSymbol') {
+    return BSON_TYPE_RANKS.string;
+  }
+  if (typeof value === 'boolean') {
+    return BSON_TYPE_RANKS.boolean;
+  }
+  if (Array.isArray(value)) {
+    return BSON_TYPE_RANKS.array;
+  }
+  if (value instanceof Date) {
+    return BSON_TYPE_RANKS.date;
+  }
+  if (value instanceof RegExp || value._bsontype === 'BSONRegExp') {
+    return BSON_TYPE_RANKS.regex;
+  }
+  if (value instanceof Uint8Array || value._bsontype === 'Binary') {
+    return BSON_TYPE_RANKS.binData;
+  }
+
+  switch (value._bsontype) {
+    case 'ObjectId':
+      return BSON_TYPE_RANKS.objectId;
+    case 'Timestamp':
+      return BSON_TYPE_RANKS.timestamp;
+    case 'MinKey':
+      return BSON_TYPE_RANKS.MinKey;
+    case 'MaxKey':
+      return BSON_TYPE_RANKS.MaxKey;
+    default:
+      return BSON_TYPE_RANKS.object;
+  }
+}
+
+/**
+ * Compares two values in MongoDB's BSON order: values of different types are
+ * ordered by type, strings compare by their UTF-8 bytes unless a `collation`
+ * is given, and documents and arrays compare element by element.
+ *
+ * @param {unknown} left
+ * @param {unknown} right
+ * @param {object} [collation] MongoDB collation used to compare strings.
+ * @returns {number} Negative, zero or positive like `Array#sort` comparators.
+ */
+function compareValues(left, right, collation) {
+  const leftRank = bsonTypeRank(left);
+  const rightRank = bsonTypeRank(right);
+  if (leftRank !== rightRank) {
+    return leftRank - rightRank;
+  }
+
+  switch (leftRank) {
+    case BSON_TYPE_RANKS.number:
+      return compareNumbers(toNumber(left), toNumber(right));
+    case BSON_TYPE_RANKS.string:
+      return compareStrings(String(left), String(right), collation);
+    case BSON_TYPE_RANKS.object:
+      return compareDocuments(left, right, collation);
+    case BSON_TYPE_RANKS.array:
+      return compareArrays(left, right, collation);
+    case BSON_TYPE_RANKS.binData:
+      return compareBinary(left, right);
+    case BSON_TYPE_RANKS.objectId:
+      return compareStrings(left.toHexString(), right.toHexString());
+    case BSON_TYPE_RANKS.boolean:
+      return Number(left) - Number(right);
+    case BSON_TYPE_RANKS.date:
+      return compareNumbers(left.getTime(), right.getTime());
+    case BSON_TYPE_RANKS.timestamp:
+      return compareNumbers(left.t, right.t) || compareNumbers(left.i, right.i);
+    case BSON_TYPE_RANKS.regex:
+      return compareStrings(regexSource(left), regexSource(right)) ||
+          compareStrings(regexFlags(left), regexFlags(right));
+    default:
+      return 0;
+  }
+}
+
+function toNumber(value) {
+  return typeof value === 'number' ? value : Number(value.toString());
+}
+
+function compareNumbers(left, right) {
+  if (Number.isNaN(left) || Number.isNaN(right)) {
+    return Number(!Number.isNaN(left)) - Number(!Number.isNaN(right));
+  }
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function compareStrings(left, right, collation) {
+  const collator = getCollator(collation);
+  if (collator) {
+    return collator.compare(left, right);
+  }
+  return Buffer.compare(Buffer.from(left, 'utf8'), Buffer.from(right, 'utf8'));
+}
+
+function compareDocuments(left, right, collation) {
+  const leftEntries = definedEntries(left);
+  const rightEntries = definedEntries(right);
+  const length = Math.min(leftEntries.length, rightEntries.length);
+
+  for (let index = 0; index < length; index += 1) {
+    const [leftKey, leftValue] = leftEntries[index];
+    const [rightKey, rightValue] = rightEntries[index];
+    const comparison = bsonTypeRank(leftValue) - bsonTypeRank(rightValue) ||
+        compareStrings(leftKey, rightKey) ||
+        compareValues(leftValue, rightValue, collation);
+    if (comparison !== 0) {
+      return comparison;
+    }
+  }
+  return leftEntries.length - rightEntries.length;
+}
+
+function definedEntries(document) {
+  return Object.entries(document).filter(([, value]) => value !== undefined);
+}
+
+function compareArrays(left, right, collation) {
+  const length = Math.min(left.length, right.length);
+  for (let index = 0; index < length; index += 1) {
+    const comparison = compareValues(left[index], right[index], collation);
+    if (comparison !== 0) {
+      return comparison;
+    }
+  }
+  return left.length - right.length;
+}
+
+function compareBinary(left, right) {
+  const leftBytes = left.buffer ?? left;
+  const rightBytes = right.buffer ?? right;
+  return leftBytes.length - rightBytes.length ||
+      Buffer.compare(Buffer.from(leftBytes), Buffer.from(rightBytes));
+}
+
+function regexSource(value) {
+  return value instanceof RegExp ? value.source : value.pattern;
+}
+
+function regexFlags(value) {
+  return value instanceof RegExp ? value.flags : value.options;
+}
+
+const collators = new Map();
+
+/**
+ * Builds (and caches) an `Intl.Collator` equivalent to a MongoDB collation
+ * document. Returns `null` for binary comparison.
+ */
+function getCollator(collation) {
+  if (!isPlainObject(collation) || !collation.locale ||
+      collation.locale === 'simple') {
+    return null;
+  }
+
+  const key = JSON.stringify(collation);
+  if (!collators.has(key)) {
+    const strength = collation.strength ?? 3;
+    let sensitivity = 'variant';
+    if (strength === 1) {
+      sensitivity = collation.caseLevel ? 'case' : 'base';
+    } else if (strength === 2) {
+      sensitivity = collation.caseLevel ? 'variant' : 'accent';
+    }
+
+    const caseFirst = ['upper', 'lower'].includes(collation.caseFirst) ?
+      collation.caseFirst :
+      'false';
+    collators.set(key, new Intl.Collator(collation.locale, {
+      sensitivity,
+      numeric: collation.numericOrdering === true,
+      caseFirst,
+      ignorePunctuation: collation.alternate === 'shifted',
+    }));
+  }
+  return collators.get(key);
+}
+
+const QUERY_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists',
+  '$regex', '$options', '$contains', '$elemMatch', '$all', '$size', '$type',
+  '$not', '$mod',
+]);
+
+const EXPRESSION_OPERATORS = new Set([
+  '$literal', '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$cmp', '$and',
+  '$or', '$not', '$add', '$subtract', '$multiply', '$divide', '$mod', '$abs',
+  '$in', '$size', '$ifNull', '$cond', '$concat', '$toLower', '$toUpper',
+]);
+
+const BSON_TYPE_ALIASES = new Map([
+  [1, 'double'],
+  [2, 'string'],
+  [3, 'object'],
+  [4, 'array'],
+  [7, 'objectId'],
+  [8, 'bool'],
+  [9, 'date'],
+  [10, 'null'],
+  [16, 'int'],
+  [18, 'long'],
+  [19, 'decimal'],
+]);
+
+// The driver returns Int64 values and whole-number doubles as plain numbers,
+// so live documents cannot tell these types apart the way MongoDB does.
+const AMBIGUOUS_NUMERIC_TYPES = new Set(['double', 'int', 'long']);
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+function unsupportedOperator(operator, kind = 'query') {
+  return new RealtimeError(`Unsupported ${kind} operator "${operator}".`, {
+    code: 'unsupported',
+    details: { operator },
+  });
+}
+
+/**
+ * Throws a `RealtimeError` with code `unsupported` when a filter uses an
+ * operator the in-memory matcher cannot evaluate, so such queries are refused
+ * up front instead of drifting from MongoDB on live updates.
+ *
+ * @param {object} filter MongoDB query filter.
+ */
+function assertSupportedFilter(filter = {}) {
+  if (!isPlainObject(filter)) {
+    return;
+  }
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      for (const clause of Array.isArray(condition) ? condition : []) {
+        assertSupportedFilter(clause);
+      }
+    } else if (key === '$expr') {
+      assertSupportedExpression(condition);
+    } else if (key.startsWith('$')) {
+      if (key !== '$comment') {
+        throw unsupportedOperator(key);
+      }
+    } else {
+      assertSupportedCondition(condition);
+    }
+  }
+}
+
+function assertSupportedCondition(condition) {
+  if (!isOperatorObject(condition)) {
+    return;
+  }
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (!QUERY_OPERATORS.has(operator)) {
+      throw unsupportedOperator(operator);
+    }
+    if (operator === '$not') {
+      assertSupportedCondition(operand);
+    }
+    if (operator === '$elemMatch') {
+      if (isOperatorObject(operand)) {
+        assertSupportedCondition(operand);
+      } else {
+        assertSupportedFilter(operand);
+      }
+    }
+    if (operator === '$all' && Array.isArray(operand)) {
+      for (const item of operand) {
+        if (isOperatorObject(item)) {
+          assertSupportedCondition(item);
+        }
+      }
+    }
+    if (operator === '$type') {
+      for (const type of [].concat(operand)) {
+        if (AMBIGUOUS_NUMERIC_TYPES.has(resolveTypeAlias(type))) {
+          throw unsupportedType(type);
+        }
+      }
+    }
   }
-  if (right == null) {
-    return 1;
+}
+
+function assertSupportedExpression(expression) {
+  if (Array.isArray(expression)) {
+    expression.forEach(assertSupportedExpression);
+    return;
   }
-  if (typeof left === 'number' && typeof right === 'number') {
-    return left - right;
+  if (typeof expression === 'string' && expression.startsWith('$$') &&
+      !/^\$\$(ROOT|CURRENT)(\.|$)/.test(expression)) {
+    throw unsupportedOperator(expression.split('.')[0]);
   }
-  if (typeof left === 'string' && typeof right === 'string') {
-    return left.localeCompare(right);
+  if (!isPlainObject(expression)) {
+    return;
   }
-  if (typeof left === 'boolean' && typeof right === 'boolean') {
-    return left === right ? 0 : left ? 1 : -1;
+
+  for (const [key, operand] of Object.entries(expression)) {
+    if (key === '$literal') {
+      continue;
+    }
+    if (key.startsWith('$') && !EXPRESSION_OPERATORS.has(key)) {
+      throw unsupportedOperator(key);
+    }
+    assertSupportedExpression(operand);
   }
-  return JSON.stringify(left).localeCompare(JSON.stringify(right));
 }
 
-function matchesFilter(document, filter = {}) {
+const CLIENT_FORBIDDEN_OPERATORS = new Set([
+  '$where', '$function', '$accumulator', '$getField',
+]);
+
+/**
+ * Throws an `AuthorizationError` when a client filter runs server-side
+ * JavaScript or reads a field by a computed name, since neither can be checked
+ * against scoped or redacted paths.
+ *
+ * @param {object} filter MongoDB query filter sent by a client.
+ */
+function assertClientFilter(filter) {
+  if (Array.isArray(filter)) {
+    filter.forEach(assertClientFilter);
+    return;
+  }
+  if (!isPlainObject(filter)) {
+    return;
+  }
+
+  for (const [key, operand] of Object.entries(filter)) {
+    if (CLIENT_FORBIDDEN_OPERATORS.has(key)) {
+      throw new AuthorizationError(
+        `Operator "${key}" is not allowed in client filters.`,
+        { operator: key },
+      );
+    }
+    assertClientFilter(operand);
+  }
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) &&
+      Object.keys(value).some((key) => key.startsWith('$'));
+}
+
+/**
+ * Tests a document against a MongoDB query filter in memory.
+ *
+ * Dotted paths traverse arrays the way MongoDB does, so `items.price` matches
+ * when any element of `items` has a matching `price`.
+ *
+ * @param {object} document Serialized document.
+ * @param {object} [filter={}] MongoDB query filter.
+ * @param {object} [collation] MongoDB collation used to compare strings.
+ * @returns {boolean}
+ */
+function matchesFilter(document, filter = {}, collation) {
   if (!isPlainObject(filter) || Object.keys(filter).length === 0) {
     return true;
   }
@@ -72,103 +474,433 @@ function matchesFilter(document, filter = {}) {
   return Object.entries(filter).every(([key, condition]) => {
     if (key === '$and') {
       return Array.isArray(condition) &&
-          condition.every((clause) => matchesFilter(document, clause));
+          condition.every((clause) =>
+            matchesFilter(document, clause, collation));
     }
     if (key === '$or') {
       return Array.isArray(condition) &&
-          condition.some((clause) => matchesFilter(document, clause));
+          condition.some((clause) =>
+            matchesFilter(document, clause, collation));
     }
     if (key === '$nor') {
       return Array.isArray(condition) &&
-          condition.every((clause) => !matchesFilter(document, clause));
+          condition.every((clause) =>
+            !matchesFilter(document, clause, collation));
+    }
+    if (key === '$expr') {
+      return isTruthy(evaluateExpression(document, condition));
+    }
+    if (key === '$comment') {
+      return true;
+    }
+    if (key.startsWith('$')) {
+      throw unsupportedOperator(key);
     }
 
-    const value = readPath(document, key);
-    return matchesCondition(value, condition);
+    return matchesCondition(
+        readPathValues(document, key),
+        condition,
+        collation,
+    );
   });
 }
 
-function matchesCondition(value, condition) {
-  if (isPlainObject(condition) &&
-      Object.keys(condition).some((key) => key.startsWith('$'))) {
-    if ('$regex' in condition &&
-        !matchesRegex(value, condition.$regex, condition.$options)) {
-      return false;
-    }
+/**
+ * Lists every value a dotted path reaches in a document, descending into the
+ * elements of the arrays it crosses. Numeric segments also index arrays.
+ */
+function readPathValues(value, path) {
+  return collectPathValues(value, path.split('.'));
+}
 
-    return Object.entries(condition).every(([operator, operand]) => {
-      if (operator === '$regex' || operator === '$options') {
-        return true;
-      }
-      return applyOperator(value, operator, operand);
-    });
+function collectPathValues(value, segments) {
+  if (segments.length === 0) {
+    return [value];
   }
 
+  const [segment, ...rest] = segments;
   if (Array.isArray(value)) {
-    return value.some((item) => isDeepStrictEqual(item, condition));
+    const values = [];
+    if (/^\d+$/.test(segment)) {
+      values.push(...collectPathValues(value[Number(segment)], rest));
+    }
+    for (const item of value) {
+      if (isPlainObject(item)) {
+        values.push(...collectPathValues(item, segments));
+      }
+    }
+    return values.length > 0 ? values : [undefined];
+  }
+  if (isPlainObject(value)) {
+    return collectPathValues(value[segment], rest);
+  }
+  return [undefined];
+}
+
+function matchesCondition(values, condition, collation) {
+  if (!isOperatorObject(condition)) {
+    return values.some((value) =>
+      equalsOrMatches(value, condition, collation));
   }
 
-  return isDeepStrictEqual(value, condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$options') {
+      return true;
+    }
+    if (operator === '$regex') {
+      return expandValues(values).some((value) =>
+        matchesRegex(value, operand, condition.$options));
+    }
+    return applyOperator(values, operator, operand, collation);
+  });
 }
 
-function applyOperator(value, operator, operand) {
+function applyOperator(values, operator, operand, collation) {
   switch (operator) {
     case '$eq':
-      return isDeepStrictEqual(value, operand);
+      return values.some((value) =>
+        equalsOrContains(value, operand, collation));
     case '$ne':
-      return !isDeepStrictEqual(value, operand);
+      return !values.some((value) =>
+        equalsOrContains(value, operand, collation));
     case '$gt':
-      return compareValues(value, operand) > 0;
+      return compareMatching(
+          values,
+          operand,
+          (comparison) => comparison > 0,
+          collation,
+      );
     case '$gte':
-      return compareValues(value, operand) >= 0;
+      return compareMatching(
+          values,
+          operand,
+          (comparison) => comparison >= 0,
+          collation,
+      );
     case '$lt':
-      return compareValues(value, operand) < 0;
+      return compareMatching(
+          values,
+          operand,
+          (comparison) => comparison < 0,
+          collation,
+      );
     case '$lte':
-      return compareValues(value, operand) <= 0;
+      return compareMatching(
+          values,
+          operand,
+          (comparison) => comparison <= 0,
+          collation,
+      );
     case '$in':
       if (!Array.isArray(operand)) {
         return false;
       }
-      if (Array.isArray(value)) {
-        return value.some((item) =>
-          operand.some((candidate) => isDeepStrictEqual(candidate, item)),
-        );
-      }
-      return operand.some((candidate) => isDeepStrictEqual(candidate, value));
+      return values.some((value) =>
+        operand.some((candidate) =>
+          equalsOrMatches(value, candidate, collation)));
     case '$nin':
       if (!Array.isArray(operand)) {
         return false;
       }
-      if (Array.isArray(value)) {
-        return value.every((item) =>
-          operand.every((candidate) => !isDeepStrictEqual(candidate, item)),
-        );
-      }
-      return operand.every((candidate) => !isDeepStrictEqual(candidate, value));
+      return !values.some((value) =>
+        operand.some((candidate) =>
+          equalsOrMatches(value, candidate, collation)));
     case '$exists':
-      return operand ? value !== undefined : value === undefined;
-    case '$regex':
-      return matchesRegex(value, operand, undefined);
+      return operand ?
+        values.some((value) => value !== undefined) :
+        values.every((value) => value === undefined);
     case '$contains':
-      if (Array.isArray(value)) {
-        return value.some((item) => isDeepStrictEqual(item, operand));
+      return values.some((value) => {
+        if (Array.isArray(value)) {
+          return value.some((item) => isDeepStrictEqual(item, operand));
+        }
+        if (typeof value === 'string' && typeof operand === 'string') {
+          return value.includes(operand);
+        }
+        return false;
+      });
+    case '$size':
+      return values.some((value) =>
+        Array.isArray(value) && value.length === operand);
+    case '$all':
+      if (!Array.isArray(operand) || operand.length === 0) {
+        return false;
+      }
+      return operand.every((item) =>
+        isPlainObject(item) && '$elemMatch' in item ?
+          applyOperator(values, '$elemMatch', item.$elemMatch, collation) :
+          values.some((value) => equalsOrContains(value, item, collation)));
+    case '$elemMatch':
+      return values.some((value) =>
+        Array.isArray(value) &&
+        value.some((item) => matchesElement(item, operand, collation)));
+    case '$type': {
+      const types = [].concat(operand).map(resolveTypeAlias);
+      return expandValues(values).some((value) =>
+        types.some((type) => matchesType(value, type)));
+    }
+    case '$not':
+      if (!isOperatorObject(operand)) {
+        throw new TypeError('Expected "$not" to be an operator object.');
       }
-      if (typeof value === 'string' && typeof operand === 'string') {
-        return value.includes(operand);
+      return !matchesCondition(values, operand, collation);
+    case '$mod': {
+      if (!Array.isArray(operand) || operand.length !== 2 ||
+          !operand.every(Number.isFinite) || Math.trunc(operand[0]) === 0) {
+        throw new TypeError('Expected "$mod" to be [divisor, remainder].');
       }
+      const [divisor, remainder] = operand.map(Math.trunc);
+      return expandValues(values).some((value) =>
+        typeof value === 'number' &&
+        Math.trunc(value) % divisor === remainder);
+    }
+    default:
+      throw unsupportedOperator(operator);
+  }
+}
+
+function matchesElement(item, condition, collation) {
+  if (isOperatorObject(condition) &&
+      Object.keys(condition).every((key) => QUERY_OPERATORS.has(key))) {
+    return matchesCondition([item], condition, collation);
+  }
+  return isPlainObject(item) && matchesFilter(item, condition, collation);
+}
+
+/**
+ * Adds the elements of array values to the candidates, since most operators
+ * match an array when any of its elements matches.
+ */
+function expandValues(values) {
+  return values.flatMap((value) =>
+    Array.isArray(value) ? [value, ...value] : [value]);
+}
+
+function equalsOrContains(value, expected, collation) {
+  if (compareValues(value, expected, collation) === 0 &&
+      (value !== undefined || expected === null)) {
+    return true;
+  }
+  return Array.isArray(value) &&
+      value.some((item) => compareValues(item, expected, collation) === 0);
+}
+
+/**
+ * Equality used by implicit conditions, `$in` and `$nin`, where a regular
+ * expression also matches the strings it tests, like in MongoDB.
+ */
+function equalsOrMatches(value, expected, collation) {
+  if (isRegexValue(expected) &&
+      expandValues([value]).some((item) => matchesRegex(item, expected))) {
+    return true;
+  }
+  return equalsOrContains(value, expected, collation);
+}
+
+function isRegexValue(value) {
+  return value instanceof RegExp || value?._bsontype === 'BSONRegExp';
+}
+
+function compareMatching(values, operand, test, collation) {
+  const rank = bsonTypeRank(operand);
+  return expandValues(values).some((value) =>
+    bsonTypeRank(value) === rank &&
+    test(compareValues(value, operand, collation)));
+}
+
+function resolveTypeAlias(type) {
+  const alias = typeof type === 'number' ? BSON_TYPE_ALIASES.get(type) : type;
+  if (alias !== 'number' && ![...BSON_TYPE_ALIASES.values()].includes(alias)) {
+    throw unsupportedType(type);
+  }
+  return alias;
+}
+
+function unsupportedType(type) {
+  return new RealtimeError(`Unsupported $type "${type}".`, {
+    code: 'unsupported',
+    details: { operator: '$type', type },
+  });
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'double':
+      return (typeof value === 'number' && !isInt32(value)) ||
+          value?._bsontype === 'Double';
+    case 'int':
+      return isInt32(value) || value?._bsontype === 'Int32';
+    case 'long':
+      return typeof value === 'bigint' || value?._bsontype === 'Long';
+    case 'decimal':
+      return value?._bsontype === 'Decimal128';
+    case 'number':
+      return typeof value === 'number' || typeof value === 'bigint' ||
+          NUMERIC_BSON_TYPES.has(value?._bsontype);
+    case 'date':
+      return value instanceof Date;
+    case 'objectId':
+      return value?._bsontype === 'ObjectId';
+    case 'string':
+      return typeof value === 'string';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'bool':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
       return false;
+  }
+}
+
+function isInt32(value) {
+  return Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX;
+}
+
+/**
+ * Evaluates the aggregation expression subset accepted by `$expr`.
+ */
+function evaluateExpression(document, expression) {
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluateExpression(document, item));
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    const path = expression.startsWith('$$') ?
+      expression.replace(/^\$\$(ROOT|CURRENT)\.?/, '') :
+      expression.slice(1);
+    if (expression.startsWith('$$') && path === expression) {
+      throw unsupportedOperator(expression.split('.')[0]);
+    }
+    return readExpressionPath(document, path);
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+
+  const keys = Object.keys(expression);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    return applyExpressionOperator(document, keys[0], expression[keys[0]]);
+  }
+  return Object.fromEntries(keys.map((key) => [
+    key,
+    evaluateExpression(document, expression[key]),
+  ]));
+}
+
+function readExpressionPath(value, path) {
+  if (!path) {
+    return value;
+  }
+
+  return path.split('.').reduce((current, segment) => {
+    if (Array.isArray(current)) {
+      return current
+        .filter(isPlainObject)
+        .map((item) => item[segment])
+        .filter((item) => item !== undefined);
+    }
+    return isPlainObject(current) ? current[segment] : undefined;
+  }, value);
+}
+
+function applyExpressionOperator(document, operator, operand) {
+  if (operator === '$literal') {
+    return operand;
+  }
+  if (operator === '$cond') {
+    const [condition, whenTrue, whenFalse] = isPlainObject(operand) ?
+      [operand.if, operand.then, operand.else] :
+      [].concat(operand);
+    return evaluateExpression(
+        document,
+        isTruthy(evaluateExpression(document, condition)) ? whenTrue : whenFalse,
+    );
+  }
+
+  const args = Array.isArray(operand) ?
+    operand.map((item) => evaluateExpression(document, item)) :
+    [evaluateExpression(document, operand)];
+  const [first, second] = args;
+  switch (operator) {
+    case '$eq':
+      return compareExpressionValues(first, second) === 0;
+    case '$ne':
+      return compareExpressionValues(first, second) !== 0;
+    case '$gt':
+      return compareExpressionValues(first, second) > 0;
+    case '$gte':
+      return compareExpressionValues(first, second) >= 0;
+    case '$lt':
+      return compareExpressionValues(first, second) < 0;
+    case '$lte':
+      return compareExpressionValues(first, second) <= 0;
+    case '$cmp':
+      return Math.sign(compareExpressionValues(first, second));
+    case '$and':
+      return args.every(isTruthy);
+    case '$or':
+      return args.some(isTruthy);
+    case '$not':
+      return !isTruthy(first);
+    case '$add':
+      return args.some((arg) => arg == null) ? null :
+        args.reduce((total, arg) => total + arg, 0);
+    case '$subtract':
+      return first == null || second == null ? null : first - second;
+    case '$multiply':
+      return args.some((arg) => arg == null) ? null :
+        args.reduce((total, arg) => total * arg, 1);
+    case '$divide':
+      return first == null || second == null ? null : first / second;
+    case '$mod':
+      return first == null || second == null ? null : first % second;
+    case '$abs':
+      return first == null ? null : Math.abs(first);
+    case '$in':
+      return Array.isArray(second) &&
+          second.some((item) => isDeepStrictEqual(item, first));
+    case '$size':
+      return Array.isArray(first) ? first.length : null;
+    case '$ifNull':
+      return args.find((arg) => arg != null) ?? null;
+    case '$concat':
+      return args.some((arg) => arg == null) ? null : args.join('');
+    case '$toLower':
+      return first == null ? '' : String(first).toLowerCase();
+    case '$toUpper':
+      return first == null ? '' : String(first).toUpperCase();
     default:
-      return true;
+      throw unsupportedOperator(operator);
   }
 }
 
+function compareExpressionValues(left, right) {
+  return compareValues(left ?? null, right ?? null);
+}
+
+function isTruthy(value) {
+  return value !== false && value !== 0 && value != null;
+}
+
 function matchesRegex(value, pattern, options) {
   if (typeof value !== 'string' || pattern == null) {
     return false;
   }
 
-  const flags = typeof options === 'string' ? options : '';
-  return new RegExp(String(pattern), flags).test(value);
+  let source = String(pattern);
+  if (pattern instanceof RegExp) {
+    source = pattern.source;
+    options ??= pattern.flags;
+  } else if (pattern._bsontype === 'BSONRegExp') {
+    source = pattern.pattern;
+    options ??= pattern.options;
+  }
+
+  const flags = typeof options === 'string' ? options.replace(/[^ims]/g, '') : '';
+  return new RegExp(source, flags).test(value);
 }
 
 function normalizeSort(sort = {}) {
@@ -177,19 +909,32 @@ function normalizeSort(sort = {}) {
   );
 }
 
-function sortDocuments(documents, sort = {}, limit = null) {
+/**
+ * Sorts documents like a MongoDB cursor and applies `limit`.
+ *
+ * @param {object[]} documents Serialized documents.
+ * @param {object} [sort={}] MongoDB sort specification.
+ * @param {number|null} [limit=null] Maximum number of documents to keep.
+ * @param {object} [collation] MongoDB collation used to compare strings.
+ * @returns {object[]}
+ */
+function sortDocuments(documents, sort = {}, limit = null, collation) {
   const normalizedSort = normalizeSort(sort);
   const sorted = [...documents];
 
   if (Object.keys(normalizedSort).length > 0) {
     sorted.sort((left, right) => {
       for (const [field, direction] of Object.entries(normalizedSort)) {
-        const comparison = compareValues(readPath(left, field), readPath(right, field));
+        const comparison = compareSortKeys(
+            sortKey(left, field, direction, collation),
+            sortKey(right, field, direction, collation),
+            collation,
+        );
         if (comparison !== 0) {
           return direction < 0 ? -comparison : comparison;
         }
       }
-      return compareValues(String(left._id ?? ''), String(right._id ?? ''));
+      return compareValues(left._id, right._id);
     });
   }
 
@@ -200,72 +945,492 @@ function sortDocuments(documents, sort = {}, limit = null) {
   return sorted;
 }
 
+/**
+ * Picks the value a document sorts by: MongoDB uses the smallest array
+ * element for ascending sorts and the largest for descending ones.
+ */
+function sortKey(document, field, direction, collation) {
+  const values = readPathValues(document, field).flatMap((value) =>
+    Array.isArray(value) ? value : [value]);
+  if (values.length === 0) {
+    return EMPTY_ARRAY_SORT_KEY;
+  }
+
+  return values.reduce((selected, value) => {
+    const comparison = compareValues(value, selected, collation);
+    return (direction < 0 ? comparison > 0 : comparison < 0) ? value : selected;
+  });
+}
+
+// Empty arrays sort before `null` and missing fields.
+const EMPTY_ARRAY_SORT_KEY = Symbol('emptyArray');
+
+function compareSortKeys(left, right, collation) {
+  if (left === EMPTY_ARRAY_SORT_KEY || right === EMPTY_ARRAY_SORT_KEY) {
+    return Number(left !== EMPTY_ARRAY_SORT_KEY) -
+        Number(right !== EMPTY_ARRAY_SORT_KEY);
+  }
+  return compareValues(left, right, collation);
+}
+
+function normalizeProjection(projection) {
+  if (!isPlainObject(projection)) {
+    return {};
+  }
+
+  const normalized = {};
+  for (const [path, value] of Object.entries(projection)) {
+    if (path.startsWith('$') ||
+        !(typeof value === 'number' || typeof value === 'boolean')) {
+      throw new TypeError(
+        `Expected projection "${path}" to be 0, 1, true or false.`,
+      );
+    }
+    normalized[path] = value ? 1 : 0;
+  }
+
+  const fields = Object.entries(normalized).filter(([path]) => path !== '_id');
+  if (fields.some(([, value]) => value === 1) &&
+      fields.some(([, value]) => value === 0)) {
+    throw new TypeError('Cannot mix inclusion and exclusion in a projection.');
+  }
+
+  return normalized;
+}
+
+function isInclusionProjection(projection) {
+  return Object.entries(projection)
+      .some(([path, value]) => path !== '_id' && value === 1);
+}
+
+function projectDocument(document, projection = {}) {
+  if (!document || Object.keys(projection).length === 0) {
+    return deepCopy(document);
+  }
+
+  if (!isInclusionProjection(projection)) {
+    const excluded = Object.entries(projection)
+        .filter(([, value]) => value === 0)
+        .map(([path]) => path);
+    return omitPaths(document, excluded);
+  }
+
+  const projected = {};
+  if (projection._id !== 0 && document._id !== undefined) {
+    projected._id = deepCopy(document._id);
+  }
+  for (const [path, value] of Object.entries(projection)) {
+    if (path !== '_id' && value === 1) {
+      pickPath(document, projected, path.split('.'));
+    }
+  }
+  return projected;
+}
+
+function pickPath(source, target, segments) {
+  const [segment, ...rest] = segments;
+  if (!source || typeof source !== 'object' || !(segment in source)) {
+    return;
+  }
+
+  const value = source[segment];
+  if (rest.length === 0) {
+    target[segment] = deepCopy(value);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    const existing = Array.isArray(target[segment]) ? target[segment] : [];
+    target[segment] = value
+        .map((item, index) => [item, index])
+        .filter(([item]) => isPlainObject(item))
+        .map(([item, index]) => {
+          const next = isPlainObject(existing[index]) ? existing[index] : {};
+          pickPath(item, next, rest);
+          return next;
+        });
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    return;
+  }
+  if (!isPlainObject(target[segment])) {
+    target[segment] = {};
+  }
+  pickPath(value, target[segment], rest);
+}
+
+function omitPaths(document, paths = []) {
+  const working = deepCopy(document);
+  if (!working || typeof working !== 'object') {
+    return working;
+  }
+
+  for (const path of paths) {
+    removePath(working, path.split('.'));
+  }
+  return working;
+}
+
+function removePath(target, segments) {
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      removePath(item, segments);
+    }
+    return;
+  }
+  if (!isPlainObject(target)) {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+  if (rest.length === 0) {
+    delete target[segment];
+    return;
+  }
+  removePath(target[segment], rest);
+}
+
+function collectFilterPaths(filter = {}) {
+  const paths = [];
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (Array.isArray(value)) {
+        for (const clause of value) {
+          if (isPlainObject(clause)) {
+            paths.push(...collectFilterPaths(clause));
+          }
+        }
+      }
+      continue;
+    }
+    if (key === '$expr') {
+      paths.push(...collectExpressionPaths(value));
+      continue;
+    }
+    if (!key.startsWith('$')) {
+      paths.push(key);
+    }
+  }
+  return paths;
+}
+
+function collectExpressionPaths(expression) {
+  if (typeof expression === 'string') {
+    // The whole document is reported as the empty path, which overlaps every
+    // other path.
+    const root = /^\$\$(ROOT|CURRENT)(?:\.(.*))?$/.exec(expression);
+    if (root) {
+      return [root[2] ?? ''];
+    }
+    return expression.startsWith('$') && !expression.startsWith('$$') ?
+      [expression.slice(1)] :
+      [];
+  }
+  if (Array.isArray(expression)) {
+    return expression.flatMap(collectExpressionPaths);
+  }
+  if (!isPlainObject(expression)) {
+    return [];
+  }
+  return Object.entries(expression).flatMap(([key, operand]) =>
+    key === '$literal' ? [] : collectExpressionPaths(operand));
+}
+
+function overlapsPath(left, right) {
+  return left === right ||
+      left === '' ||
+      right === '' ||
+      left.startsWith(`${right}.`) ||
+      right.startsWith(`${left}.`);
+}
+
 function isMongoOperatorUpdate(update) {
   return isPlainObject(update) &&
       Object.keys(update).some((key) => key.startsWith('$'));
 }
 
-function applyMongoUpdate(document, update) {
+/**
+ * Applies a MongoDB update document to a copy of `document`.
+ *
+ * Supports replacement documents and the field (`$set`, `$unset`, `$inc`,
+ * `$mul`, `$min`, `$max`, `$rename`, `$currentDate`) and array (`$push` with
+ * its modifiers, `$addToSet`, `$pop`, `$pull`, `$pullAll`) operators. Paths may
+ * use array indexes and the `$`, `$[]` and `$[<identifier>]` positional
+ * operators; `$` needs the update `filter` and `$[<identifier>]` needs
+ * `arrayFilters`.
+ *
+ * @param {object} document Serialized document.
+ * @param {object} update MongoDB update document.
+ * @param {object} [options={}]
+ * @param {object} [options.filter] Query filter the document was matched with.
+ * @param {object[]} [options.arrayFilters] Filters for `$[<identifier>]`.
+ * @returns {object}
+ */
+function applyMongoUpdate(document, update, options = {}) {
   const working = deepCopy(document);
 
   if (!isMongoOperatorUpdate(update)) {
-    for (const [path, value] of Object.entries(update)) {
-      writePath(working, path, deepCopy(value));
-    }
-    return working;
+    const replacement = deepCopy(update);
+    return working?._id === undefined ?
+      replacement :
+      { _id: working._id, ...replacement };
   }
 
   for (const [operator, payload] of Object.entries(update)) {
+    if (!UPDATE_OPERATORS.has(operator)) {
+      throw unsupportedOperator(operator, 'update');
+    }
+
     const entries = isPlainObject(payload) ? Object.entries(payload) : [];
+    for (const [rawPath, value] of entries) {
+      for (const path of resolveUpdatePaths(working, rawPath, options)) {
+        applyUpdateOperator(working, operator, path, value);
+      }
+    }
+  }
 
-    switch (operator) {
-      case '$set':
-        for (const [path, value] of entries) {
-          writePath(working, path, deepCopy(value));
-        }
-        break;
-      case '$inc':
-        for (const [path, value] of entries) {
-          const current = readPath(working, path);
-          const currentNumber = typeof current === 'number' ? current : 0;
-          const delta = typeof value === 'number' ? value : 0;
-          writePath(working, path, currentNumber + delta);
-        }
-        break;
-      case '$addToSet':
-        for (const [path, value] of entries) {
-          const list = readOrCreateList(working, path);
-          for (const candidate of expandUpdateValue(value)) {
-            if (!list.some((item) => isDeepStrictEqual(item, candidate))) {
-              list.push(deepCopy(candidate));
-            }
-          }
+  return working;
+}
+
+const UPDATE_OPERATORS = new Set([
+  '$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$currentDate',
+  '$setOnInsert', '$addToSet', '$push', '$pop', '$pull', '$pullAll',
+]);
+
+function applyUpdateOperator(working, operator, path, value) {
+  switch (operator) {
+    case '$set':
+      writePath(working, path, deepCopy(value));
+      return;
+    case '$unset':
+      unsetPath(working, path);
+      return;
+    case '$inc':
+    case '$mul': {
+      const current = readPath(working, path);
+      if (typeof value !== 'number' ||
+          (current !== undefined && typeof current !== 'number')) {
+        throw new TypeError(
+            `Cannot apply "${operator}" to non-numeric field "${path}".`,
+        );
+      }
+      if (operator === '$inc') {
+        writePath(working, path, (current ?? 0) + value);
+      } else {
+        writePath(working, path, (current ?? 0) * value);
+      }
+      return;
+    }
+    case '$min':
+    case '$max': {
+      const current = readPath(working, path);
+      const comparison = compareValues(value, current);
+      if (current === undefined ||
+          (operator === '$min' ? comparison < 0 : comparison > 0)) {
+        writePath(working, path, deepCopy(value));
+      }
+      return;
+    }
+    case '$rename': {
+      if (typeof value !== 'string' || value === '' || value === path) {
+        throw new TypeError(`Expected "$rename" target of "${path}" to be a new path.`);
+      }
+      const current = readPath(working, path);
+      if (current !== undefined) {
+        unsetPath(working, path);
+        writePath(working, value, current);
+      }
+      return;
+    }
+    case '$currentDate':
+      if (isPlainObject(value) && value.$type === 'timestamp') {
+        throw new RealtimeError('Unsupported $currentDate type "timestamp".', {
+          code: 'unsupported',
+          details: { operator: '$currentDate', type: 'timestamp' },
+        });
+      }
+      writePath(working, path, new Date());
+      return;
+    case '$setOnInsert':
+      return;
+    case '$addToSet': {
+      const list = readOrCreateList(working, path);
+      for (const candidate of expandUpdateValue(value)) {
+        if (!list.some((item) => isDeepStrictEqual(item, candidate))) {
+          list.push(deepCopy(candidate));
         }
-        break;
-      case '$push':
-        for (const [path, value] of entries) {
-          const list = readOrCreateList(working, path);
-          for (const candidate of expandUpdateValue(value)) {
-            list.push(deepCopy(candidate));
-          }
+      }
+      return;
+    }
+    case '$push':
+      pushValues(readOrCreateList(working, path), value);
+      return;
+    case '$pop': {
+      const list = readPath(working, path);
+      if (Array.isArray(list)) {
+        if (value === -1) {
+          list.shift();
+        } else {
+          list.pop();
         }
-        break;
-      case '$pull':
-        for (const [path, value] of entries) {
-          const list = readOrCreateList(working, path);
-          for (let index = list.length - 1; index >= 0; index -= 1) {
-            if (shouldPull(list[index], value)) {
-              list.splice(index, 1);
-            }
-          }
+      }
+      return;
+    }
+    case '$pull':
+    case '$pullAll': {
+      const list = readPath(working, path);
+      if (!Array.isArray(list)) {
+        return;
+      }
+      const shouldRemove = operator === '$pull' ?
+        (item) => shouldPull(item, value) :
+        (item) => Array.isArray(value) &&
+            value.some((candidate) => isDeepStrictEqual(candidate, item));
+      for (let index = list.length - 1; index >= 0; index -= 1) {
+        if (shouldRemove(list[index])) {
+          list.splice(index, 1);
         }
-        break;
-      default:
-        break;
+      }
+      return;
     }
+    default:
+      throw unsupportedOperator(operator, 'update');
+  }
+}
+
+function pushValues(list, value) {
+  const hasModifiers = isPlainObject(value) && Array.isArray(value.$each);
+  const values = expandUpdateValue(value).map((item) => deepCopy(item));
+
+  if (hasModifiers && Number.isInteger(value.$position)) {
+    const position = value.$position < 0 ?
+      Math.max(list.length + value.$position, 0) :
+      Math.min(value.$position, list.length);
+    list.splice(position, 0, ...values);
+  } else {
+    list.push(...values);
   }
 
-  return working;
+  if (hasModifiers && value.$sort !== undefined) {
+    const sorted = isPlainObject(value.$sort) ?
+      sortDocuments(list, value.$sort) :
+      [...list].sort((left, right) =>
+        value.$sort < 0 ?
+          compareValues(right, left) :
+          compareValues(left, right));
+    list.splice(0, list.length, ...sorted);
+  }
+
+  if (hasModifiers && Number.isInteger(value.$slice)) {
+    const kept = value.$slice < 0 ?
+      list.slice(value.$slice) :
+      list.slice(0, value.$slice);
+    list.splice(0, list.length, ...kept);
+  }
+}
+
+/**
+ * Expands the positional operators of an update path into the concrete paths
+ * they address in `document`.
+ */
+function resolveUpdatePaths(document, path, options) {
+  const segments = path.split('.');
+  const index = segments.findIndex((segment) => /^\$(\[[^\]]*\])?$/.test(segment));
+  if (index < 0) {
+    return [path];
+  }
+
+  const prefix = segments.slice(0, index).join('.');
+  const rest = segments.slice(index + 1).join('.');
+  const list = readPath(document, prefix);
+  if (!Array.isArray(list)) {
+    throw new TypeError(
+        `Positional path "${path}" requires "${prefix}" to be an array.`,
+    );
+  }
+
+  let indexes;
+  const positional = segments[index];
+  if (positional === '$') {
+    const matched = findPositionalIndex(list, prefix, options.filter);
+    if (matched < 0) {
+      throw new TypeError(
+          `The positional operator in "${path}" did not find a match in the filter.`,
+      );
+    }
+    indexes = [matched];
+  } else if (positional === '$[]') {
+    indexes = list.map((_, itemIndex) => itemIndex);
+  } else {
+    const identifier = positional.slice(2, -1);
+    const arrayFilter = (options.arrayFilters ?? []).find((candidate) =>
+      isPlainObject(candidate) &&
+      Object.keys(candidate).some((key) => key.split('.')[0] === identifier));
+    if (!arrayFilter) {
+      throw new TypeError(`No array filter found for identifier "${identifier}".`);
+    }
+    indexes = list
+      .map((item, itemIndex) =>
+        matchesFilter({ [identifier]: item }, arrayFilter) ? itemIndex : -1)
+      .filter((itemIndex) => itemIndex >= 0);
+  }
+
+  return indexes.flatMap((itemIndex) => {
+    const concrete = [prefix, itemIndex, rest].filter((part) => part !== '').join('.');
+    return rest ? resolveUpdatePaths(document, concrete, options) : [concrete];
+  });
+}
+
+function findPositionalIndex(list, prefix, filter = {}) {
+  const conditions = collectPositionalConditions(filter, prefix);
+  if (conditions.length === 0) {
+    return -1;
+  }
+
+  return list.findIndex((item) => conditions.every(([path, condition]) => {
+    if (!path) {
+      return isPlainObject(condition) && '$elemMatch' in condition ?
+        matchesElement(item, condition.$elemMatch) :
+        matchesFilter({ value: item }, { value: condition });
+    }
+    return isPlainObject(item) && matchesFilter(item, { [path]: condition });
+  }));
+}
+
+function collectPositionalConditions(filter, prefix) {
+  if (!isPlainObject(filter)) {
+    return [];
+  }
+
+  const conditions = [];
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' && Array.isArray(condition)) {
+      for (const clause of condition) {
+        conditions.push(...collectPositionalConditions(clause, prefix));
+      }
+    } else if (key === prefix) {
+      conditions.push(['', condition]);
+    } else if (key.startsWith(`${prefix}.`)) {
+      conditions.push([key.slice(prefix.length + 1), condition]);
+    }
+  }
+  return conditions;
+}
+
+function unsetPath(document, path) {
+  const segments = path.split('.');
+  const parent = readPath(document, segments.slice(0, -1).join('.'));
+  const last = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    if (/^\d+$/.test(last) && Number(last) < parent.length) {
+      parent[Number(last)] = null;
+    }
+  } else if (isPlainObject(parent)) {
+    delete parent[last];
+  }
 }
 
 function readOrCreateList(document, path) {
@@ -273,6 +1438,9 @@ function readOrCreateList(document, path) {
   if (Array.isArray(current)) {
     return current;
   }
+  if (current !== undefined) {
+    throw new TypeError(`Cannot apply array update to non-array field "${path}".`);
+  }
 
   const replacement = [];
   writePath(document, path, replacement);
@@ -287,8 +1455,8 @@ function expandUpdateValue(value) {
 }
 
 function shouldPull(item, condition) {
-  if (isPlainObject(condition) && isPlainObject(item)) {
-    return matchesFilter(item, condition);
+  if (isPlainObject(condition)) {
+    return matchesElement(item, condition);
   }
 
   return isDeepStrictEqual(item, condition);
@@ -296,13 +1464,22 @@ function shouldPull(item, condition) {
 
 module.exports = {
   applyMongoUpdate,
+  assertClientFilter,
+  assertSupportedFilter,
+  collectFilterPaths,
   compareValues,
   deepCopy,
+  isInclusionProjection,
   isMongoOperatorUpdate,
   isPlainObject,
   matchesFilter,
+  normalizeProjection,
   normalizeSort,
+  omitPaths,
+  overlapsPath,
+  projectDocument,
   readPath,
+  readPathValues,
   sortDocuments,
   writePath,
 };
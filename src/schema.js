@@ -0,0 +1,204 @@
+'use strict';
+
+const { isDeepStrictEqual } = require('node:util');
+
+const { isPlainObject } = require('./query');
+
+/**
+ * Validates a value against a JSON Schema and returns every violation.
+ *
+ * Supports the commonly used subset of the specification: `type`, `enum`,
+ * `const`, numeric and string bounds, `pattern`, `properties`, `required`,
+ * `additionalProperties`, `items`, array bounds, `uniqueItems`, `allOf`,
+ * `anyOf`, `oneOf` and `not`.
+ *
+ * @param {unknown} value Value to validate.
+ * @param {object} schema JSON Schema.
+ * @param {string} [path=''] Dotted path of `value` in the root document.
+ * @returns {{path: string, message: string}[]}
+ */
+function validateSchema(value, schema, path = '') {
+  if (schema === true || schema == null) {
+    return [];
+  }
+  if (schema === false) {
+    return [violation(path, 'is not allowed')];
+  }
+
+  const errors = [];
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    const types = [].concat(schema.type).join(' or ');
+    errors.push(violation(path, `must be of type ${types}`));
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) &&
+      !schema.enum.some((candidate) => isDeepStrictEqual(candidate, value))) {
+    errors.push(violation(path, `must be one of ${JSON.stringify(schema.enum)}`));
+  }
+  if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+    errors.push(violation(path, `must be ${JSON.stringify(schema.const)}`));
+  }
+
+  if (typeof value === 'number') {
+    errors.push(...validateNumber(value, schema, path));
+  }
+  if (typeof value === 'string') {
+    errors.push(...validateString(value, schema, path));
+  }
+  if (Array.isArray(value)) {
+    errors.push(...validateArray(value, schema, path));
+  }
+  if (isPlainObject(value)) {
+    errors.push(...validateObject(value, schema, path));
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateSchema(value, subschema, path));
+    }
+  }
+  if (Array.isArray(schema.anyOf) &&
+      !schema.anyOf.some((subschema) =>
+        validateSchema(value, subschema, path).length === 0)) {
+    errors.push(violation(path, 'must match at least one allowed schema'));
+  }
+  if (Array.isArray(schema.oneOf) &&
+      schema.oneOf.filter((subschema) =>
+        validateSchema(value, subschema, path).length === 0).length !== 1) {
+    errors.push(violation(path, 'must match exactly one allowed schema'));
+  }
+  if (schema.not !== undefined &&
+      validateSchema(value, schema.not, path).length === 0) {
+    errors.push(violation(path, 'must not match the forbidden schema'));
+  }
+
+  return errors;
+}
+
+function validateNumber(value, schema, path) {
+  const errors = [];
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(violation(path, `must be >= ${schema.minimum}`));
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(violation(path, `must be <= ${schema.maximum}`));
+  }
+  if (typeof schema.exclusiveMinimum === 'number' &&
+      value <= schema.exclusiveMinimum) {
+    errors.push(violation(path, `must be > ${schema.exclusiveMinimum}`));
+  }
+  if (typeof schema.exclusiveMaximum === 'number' &&
+      value >= schema.exclusiveMaximum) {
+    errors.push(violation(path, `must be < ${schema.exclusiveMaximum}`));
+  }
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 &&
+      !Number.isInteger(value / schema.multipleOf)) {
+    errors.push(violation(path, `must be a multiple of ${schema.multipleOf}`));
+  }
+  return errors;
+}
+
+function validateString(value, schema, path) {
+  const errors = [];
+  const length = Array.from(value).length;
+  if (Number.isInteger(schema.minLength) && length < schema.minLength) {
+    errors.push(violation(path, `must have at least ${schema.minLength} characters`));
+  }
+  if (Number.isInteger(schema.maxLength) && length > schema.maxLength) {
+    errors.push(violation(path, `must have at most ${schema.maxLength} characters`));
+  }
+  if (typeof schema.pattern === 'string' &&
+      !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push(violation(path, `must match pattern ${schema.pattern}`));
+  }
+  return errors;
+}
+
+function validateArray(value, schema, path) {
+  const errors = [];
+  if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+    errors.push(violation(path, `must have at least ${schema.minItems} items`));
+  }
+  if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) {
+    errors.push(violation(path, `must have at most ${schema.maxItems} items`));
+  }
+  if (schema.uniqueItems === true &&
+      value.some((item, index) =>
+        value.findIndex((other) => isDeepStrictEqual(other, item)) !== index)) {
+    errors.push(violation(path, 'must not contain duplicate items'));
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, joinPath(path, index)));
+    });
+  }
+  return errors;
+}
+
+function validateObject(value, schema, path) {
+  const errors = [];
+  const properties = isPlainObject(schema.properties) ? schema.properties : {};
+
+  if (Array.isArray(schema.required)) {
+    for (const key of schema.required) {
+      if (value[key] === undefined) {
+        errors.push(violation(joinPath(path, key), 'is required'));
+      }
+    }
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    if (key in properties) {
+      errors.push(...validateSchema(entry, properties[key], joinPath(path, key)));
+      continue;
+    }
+    if (schema.additionalProperties === false) {
+      errors.push(violation(joinPath(path, key), 'is not allowed'));
+    } else if (isPlainObject(schema.additionalProperties)) {
+      errors.push(...validateSchema(
+          entry,
+          schema.additionalProperties,
+          joinPath(path, key),
+      ));
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some((candidate) => {
+    switch (candidate) {
+      case 'null':
+        return value === null;
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'string':
+        return typeof value === 'string';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return isPlainObject(value);
+      default:
+        return false;
+    }
+  });
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+function violation(path, message) {
+  return { path, message };
+}
+
+module.exports = {
+  validateSchema,
+};
@@ -2,24 +2,56 @@
 
 const http = require("node:http");
 const { randomUUID } = require("node:crypto");
+const { isDeepStrictEqual } = require("node:util");
 
 const { MongoClient, ObjectId } = require("mongodb");
 const { WebSocketServer } = require("ws");
 
+const { MemoryAdapter } = require("./adapter");
+const { createCodec, selectWireProtocol } = require("./codec");
 const { readEnvironmentOptions } = require("./env");
 const {
+  AuthorizationError,
+  RealtimeError,
+  ValidationError,
+} = require("./errors");
+const { diffDocuments } = require("./patch");
+const {
+  applyMongoUpdate,
+  assertClientFilter,
+  assertSupportedFilter,
+  collectFilterPaths,
   deepCopy,
+  isInclusionProjection,
   isMongoOperatorUpdate,
   isPlainObject,
   matchesFilter,
+  normalizeProjection,
+  omitPaths,
+  overlapsPath,
+  projectDocument,
+  writePath,
 } = require("./query");
+const { validateSchema } = require("./schema");
 const {
   cloneDocuments,
+  coalesceEvent,
+  isTallyQuery,
   requiresSubscriptionResync,
   resolveSubscriptionChange,
   sameDocuments,
+  tallyDocuments,
 } = require("./subscription-state");
 
+/**
+ * Per-socket context handed to emit handlers and server-side hooks.
+ *
+ * @typedef {object} MongoRealTimeContext
+ * @property {import('ws').WebSocket} socket Socket that sent the message.
+ * @property {MongoRealTimeServer} server Server instance.
+ * @property {any} user Identity returned by `authenticate`, or `null`.
+ */
+
 /**
  * MongoRealTime WebSocket server backed by MongoDB.
  *
@@ -36,13 +68,50 @@ class MongoRealTimeServer {
   #wss;
   #started;
   #authenticate;
+  #authorize;
+  #policies;
   #upgradeAttached;
   #connectionAttached;
   #socketSubscriptions;
+  #socketUsers;
+  #socketCodecs;
+  #dbChangeGrants;
   #subscriptions;
+  #collectionStreams;
   #eventHandlers;
+  #serverEventHandlers;
+  #hooks;
   #queryCache;
   #cacheTtlMs;
+  #resumeWindowMs;
+  #resumeBufferSize;
+  #instanceId;
+  #heartbeatIntervalMs;
+  #heartbeatTimeoutMs;
+  #heartbeatTimer;
+  #socketHeartbeats;
+  #batchWindowMs;
+  #maxBatchWindowMs;
+  #socketBatches;
+  #highWaterMark;
+  #maxBufferedAmount;
+  #pausedSockets;
+  #skippedPresence;
+  #skippedDbChanges;
+  #adapter;
+  #adapterConnection;
+  #adapterHandlers;
+  #reservedCollections;
+  #singletonDbHandlers;
+  #isLeader;
+  #leaseTimer;
+  #rooms;
+  #socketRooms;
+  #presence;
+  #socketPresence;
+  #remotePresence;
+  #presenceTimer;
+  #sequence;
   /**
    * @param {object} [options={}] Server configuration.
    * @param {string} [options.host] Host used when this package owns the HTTP server.
@@ -51,7 +120,19 @@ class MongoRealTimeServer {
    * @param {string} [options.mongoUri] MongoDB connection URI.
    * @param {string} [options.dbName] MongoDB database name.
    * @param {number} [options.cacheTtlMs] Cache TTL in milliseconds.
-   * @param {(authData:any, request: import('node:http').IncomingMessage)=>boolean|Promise<boolean>} [options.authenticate] Optional connection authenticator.
+   * @param {number} [options.resumeWindowMs] How long subscriptions of a closed socket stay resumable. `0` disables resuming.
+   * @param {number} [options.resumeBufferSize] Maximum number of live events kept per subscription for resuming.
+   * @param {number} [options.heartbeatIntervalMs] Interval between heartbeat pings. `0` disables the heartbeat.
+   * @param {number} [options.heartbeatTimeoutMs] Time a socket has to answer a heartbeat ping before it is terminated.
+   * @param {number} [options.batchWindowMs] How long live events are collected and coalesced before being sent as one `realtime:batch`. `0` sends every event immediately.
+   * @param {number} [options.maxBatchWindowMs] Upper bound for the `batchWindowMs` a client requests on a subscription.
+   * @param {number} [options.highWaterMark] Buffered bytes above which live events to a socket are paused until its buffer drains. `0` disables pausing.
+   * @param {number} [options.maxBufferedAmount] Buffered bytes above which a socket is closed as a slow consumer. `0` disables the limit.
+   * @param {{attach: (options: {instanceId: string, db: import('mongodb').Db, logger: {info?: Function, warn?: Function}, onMessage: (message: object) => void}) => Promise<import('./adapter').AdapterConnection>}} [options.adapter] Pub/sub adapter shared by the instances of a cluster. Defaults to a `MemoryAdapter`.
+   * @param {boolean} [options.singletonDbHandlers] Runs the `db:*` handlers registered with `on()` on a single instance of the cluster.
+   * @param {(authData:any, request: import('node:http').IncomingMessage)=>any|Promise<any>} [options.authenticate] Optional connection authenticator. Falsy results reject the connection; any other value than `true` is kept as the socket identity.
+   * @param {(context: MongoRealTimeContext, operation: {type: string, collection?: string, filter?: object, update?: object, document?: object, projection?: object, event?: string, payload?: any, room?: string, documentId?: string, state?: any}) => boolean|void|Promise<boolean|void>} [options.authorize] Optional per-operation authorizer. Returning `false` or throwing denies the operation.
+   * @param {Record<string, {filter?: (context: MongoRealTimeContext) => object|null|Promise<object|null>, redact?: string[], schema?: object|((document: object, context: MongoRealTimeContext) => any)}>} [options.policies] Optional per-collection access policies. `filter` scopes every query, write and live event on that collection for a socket; `redact` lists field paths never sent to clients; `schema` validates client writes.
    * @param {import('node:http').Server} [options.server] Existing HTTP server to attach to.
    * @param {import('mongodb').MongoClient} [options.mongoClient] Existing Mongo client to reuse.
    * @param {import('mongodb').Db} [options.db] Existing Mongo database handle to reuse.
@@ -67,6 +148,8 @@ class MongoRealTimeServer {
     this.dbName = resolved.dbName;
     this.logger = options.logger ?? console;
     this.#authenticate = options.authenticate;
+    this.#authorize = options.authorize;
+    this.#policies = isPlainObject(options.policies) ? options.policies : {};
     this.#mongoClient = options.mongoClient ?? null;
     this.#ownsMongoClient = !options.mongoClient;
     this.#db =
@@ -75,18 +158,68 @@ class MongoRealTimeServer {
 
     this.#ownsHttpServer = !options.server;
     this.#httpServer = options.server ?? http.createServer();
-    this.#wss = new WebSocketServer({ noServer: true });
+    this.#wss = new WebSocketServer({
+      noServer: true,
+      handleProtocols: selectWireProtocol,
+    });
     this.#started = false;
     this.#upgradeAttached = false;
     this.#connectionAttached = false;
 
     this.#socketSubscriptions = new Map();
+    this.#socketUsers = new Map();
+    this.#socketCodecs = new Map();
+    this.#dbChangeGrants = new Map();
     this.#subscriptions = new Map();
+    this.#collectionStreams = new Map();
     this.#eventHandlers = new Map();
+    this.#serverEventHandlers = new Map();
+    this.#hooks = new Map();
     this.#queryCache = new Map();
     this.#cacheTtlMs = Number.isInteger(resolved.cacheTtlMs)
       ? resolved.cacheTtlMs
       : 5 * 60 * 1000;
+    this.#resumeWindowMs = resolved.resumeWindowMs;
+    this.#resumeBufferSize = resolved.resumeBufferSize;
+    this.#instanceId = randomUUID().slice(0, 8);
+    this.#heartbeatIntervalMs = resolved.heartbeatIntervalMs;
+    this.#heartbeatTimeoutMs = resolved.heartbeatTimeoutMs;
+    this.#heartbeatTimer = null;
+    this.#socketHeartbeats = new Map();
+    this.#batchWindowMs = resolved.batchWindowMs;
+    this.#maxBatchWindowMs = resolved.maxBatchWindowMs;
+    this.#socketBatches = new Map();
+    this.#highWaterMark = resolved.highWaterMark;
+    this.#maxBufferedAmount = resolved.maxBufferedAmount;
+    this.#pausedSockets = new Set();
+    this.#skippedPresence = new Map();
+    this.#skippedDbChanges = new Map();
+    this.#adapter = options.adapter ?? new MemoryAdapter();
+    this.#adapterConnection = null;
+    this.#adapterHandlers = new Map();
+    this.#reservedCollections = new Set();
+    this.#singletonDbHandlers = options.singletonDbHandlers === true;
+    this.#isLeader = !this.#singletonDbHandlers;
+    this.#leaseTimer = null;
+    this.#rooms = new Map();
+    this.#socketRooms = new Map();
+    this.#presence = new Map();
+    this.#socketPresence = new Map();
+    this.#remotePresence = new Map();
+    this.#presenceTimer = null;
+    this.#adapterHandlers.set("message", (message) =>
+      this.#deliverMessage(message),
+    );
+    this.#adapterHandlers.set("presence", (message) =>
+      this.#applyRemotePresence(message),
+    );
+    this.#adapterHandlers.set("presence:sync", ({ origin, topics }) =>
+      this.#replaceRemotePresence(origin, readPresenceTopics(topics)),
+    );
+    this.#adapterHandlers.set("presence:reset", ({ origin }) =>
+      this.#replaceRemotePresence(origin, new Map()),
+    );
+    this.#sequence = 0;
 
     if (
       !this.#ownsHttpServer &&
@@ -99,10 +232,12 @@ class MongoRealTimeServer {
   }
 
   /**
-   * Registers a custom event handler for `realtime:emit` messages.
+   * Registers a custom event handler for `realtime:emit` messages. Names
+   * starting with `db:` or `stream:` are server events: their handlers are
+   * only called by the server and cannot be reached with `realtime:emit`.
    *
    * @param {string} eventName Custom event name.
-   * @param {(payload: any, context: {socket: any, server: MongoRealTimeServer, requestId?: string}) => any | Promise<any>} handler
+   * @param {(payload: any, context: MongoRealTimeContext & {requestId?: string}) => any | Promise<any>} handler
    * @returns {MongoRealTimeServer}
    */
   on(eventName, handler) {
@@ -113,10 +248,153 @@ class MongoRealTimeServer {
       throw new TypeError('Expected "handler" to be a function.');
     }
 
-    this.#eventHandlers.set(eventName, handler);
+    const handlers = isServerEvent(eventName)
+      ? this.#serverEventHandlers
+      : this.#eventHandlers;
+    handlers.set(eventName, handler);
+    return this;
+  }
+
+  /**
+   * Registers a server-side write hook. Hook names are `beforeInsert`,
+   * `beforeUpdate`, `beforeDelete`, `afterInsert`, `afterUpdate` and
+   * `afterDelete`, optionally followed by `:COLLECTION_NAME`. Several hooks may
+   * share a name; they run in registration order.
+   *
+   * `before*` hooks may mutate `document`, `filter` or `update` on their first
+   * argument, or throw to abort the write. `after*` hooks also receive the
+   * write `result`.
+   *
+   * @param {string} hookName Hook name, e.g. `beforeInsert:users`.
+   * @param {(args: {collection: string, document?: object, filter?: object, update?: object, result?: object}, context: MongoRealTimeContext) => void | Promise<void>} handler
+   * @returns {MongoRealTimeServer}
+   */
+  hook(hookName, handler) {
+    if (typeof hookName !== "string" || !HOOK_NAME_PATTERN.test(hookName)) {
+      throw new TypeError(
+        'Expected "hookName" to look like "beforeInsert" or "afterUpdate:users".',
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new TypeError('Expected "handler" to be a function.');
+    }
+
+    const handlers = this.#hooks.get(hookName) ?? [];
+    handlers.push(handler);
+    this.#hooks.set(hookName, handlers);
+    return this;
+  }
+
+  /**
+   * Adds a socket to a room, e.g. from an emit handler with `context.socket`.
+   * Rooms are left automatically when the socket closes.
+   *
+   * @param {import('ws').WebSocket} socket Connected socket.
+   * @param {string} room Room name.
+   * @returns {MongoRealTimeServer}
+   */
+  join(socket, room) {
+    requiredString(room, "room");
+    if (!this.#socketRooms.has(socket)) {
+      this.#socketRooms.set(socket, new Set());
+    }
+    this.#socketRooms.get(socket).add(room);
+
+    if (!this.#rooms.has(room)) {
+      this.#rooms.set(room, new Set());
+    }
+    this.#rooms.get(room).add(socket);
+    return this;
+  }
+
+  /**
+   * Removes a socket from a room.
+   *
+   * @param {import('ws').WebSocket} socket Connected socket.
+   * @param {string} room Room name.
+   * @returns {MongoRealTimeServer}
+   */
+  leave(socket, room) {
+    requiredString(room, "room");
+    this.#socketRooms.get(socket)?.delete(room);
+
+    const members = this.#rooms.get(room);
+    members?.delete(socket);
+    if (members?.size === 0) {
+      this.#rooms.delete(room);
+    }
+    return this;
+  }
+
+  /**
+   * Targets a socket, or a room on every instance of the cluster, for a
+   * `realtime:message` push.
+   *
+   * @param {import('ws').WebSocket|string} target Socket or room name.
+   * @returns {{send: (event: string, payload?: any) => MongoRealTimeServer}}
+   */
+  to(target) {
+    if (typeof target !== "string") {
+      return {
+        send: (event, payload) => {
+          this.#sendMessage(target, {
+            event: requiredString(event, "event"),
+            payload,
+          });
+          return this;
+        },
+      };
+    }
+
+    const room = requiredString(target, "room");
+    return {
+      send: (event, payload) => {
+        const message = {
+          type: "message",
+          room,
+          event: requiredString(event, "event"),
+          payload: payload ?? null,
+        };
+        this.#deliverMessage(message);
+        this.#publish(message);
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Pushes a `realtime:message` to every socket connected to any instance of
+   * the cluster.
+   *
+   * @param {string} event Custom event name.
+   * @param {any} [payload] Message payload.
+   * @returns {MongoRealTimeServer}
+   */
+  broadcast(event, payload) {
+    const message = {
+      type: "message",
+      event: requiredString(event, "event"),
+      payload: payload ?? null,
+    };
+    this.#deliverMessage(message);
+    this.#publish(message);
     return this;
   }
 
+  /**
+   * Lists the identities present in a room or on a document across the
+   * cluster, with their latest state.
+   *
+   * @param {string|{collection: string, documentId: string}} target Room name or document.
+   * @returns {{id: string, state: any}[]}
+   */
+  presence(target) {
+    const topic = presenceTopic(
+      typeof target === "string" ? { room: target } : (target ?? {}),
+    );
+    return this.#presenceMembers(topic.key);
+  }
+
   /**
    * Connects MongoDB, attaches WebSocket handlers, and starts listening when
    * the package owns the HTTP server.
@@ -143,6 +421,14 @@ class MongoRealTimeServer {
           return;
         }
 
+        const ejson = parseEjsonModeFromUrl(request.url);
+        if (ejson !== undefined && !EJSON_MODES.has(ejson)) {
+          socket.write("HTTP/1.1 400 Bad Request\r\n\r\n");
+          socket.destroy();
+          return;
+        }
+
+        let user = null;
         if (typeof this.#authenticate === "function") {
           const authData =
             parseAuthHeader(request.headers.auth) ??
@@ -160,9 +446,15 @@ class MongoRealTimeServer {
             socket.destroy();
             return;
           }
+          user = authenticated === true ? null : authenticated;
         }
 
         this.#wss.handleUpgrade(request, socket, head, (webSocket) => {
+          this.#socketUsers.set(webSocket, user);
+          this.#socketCodecs.set(
+            webSocket,
+            createCodec(webSocket.protocol, ejson ?? null),
+          );
           this.#wss.emit("connection", webSocket, request, socket);
         });
       });
@@ -185,8 +477,17 @@ class MongoRealTimeServer {
       });
     }
 
+    await this.#attachAdapter();
     await this.#listenInternHandlers();
 
+    if (this.#heartbeatIntervalMs > 0 && !this.#heartbeatTimer) {
+      this.#heartbeatTimer = setInterval(
+        () => this.#checkHeartbeats(),
+        this.#heartbeatIntervalMs,
+      );
+      this.#heartbeatTimer.unref?.();
+    }
+
     this.#started = true;
     if (this.#ownsHttpServer) {
       this.logger.info?.(
@@ -201,53 +502,363 @@ class MongoRealTimeServer {
     return this;
   }
 
+  async #attachAdapter() {
+    if (this.#adapterConnection) {
+      return;
+    }
+
+    this.#adapterConnection = await this.#adapter.attach({
+      instanceId: this.#instanceId,
+      db: this.#db,
+      logger: this.logger,
+      onMessage: (message) => this.#handleAdapterMessage(message),
+    });
+    this.#reservedCollections = new Set(
+      this.#adapterConnection.reservedCollections ?? [],
+    );
+
+    if (this.#singletonDbHandlers) {
+      await this.#renewLeadership();
+      this.#leaseTimer = setInterval(
+        () => this.#renewLeadership(),
+        LEADER_LEASE_MS / 3,
+      );
+      this.#leaseTimer.unref?.();
+    }
+
+    this.#presenceTimer = setInterval(
+      () => this.#syncPresence(),
+      PRESENCE_SYNC_MS,
+    );
+    this.#presenceTimer.unref?.();
+  }
+
+  /**
+   * Takes or renews the lease that designates the instance running the
+   * `db:*` handlers when they are singletons.
+   */
+  async #renewLeadership() {
+    try {
+      this.#isLeader = await this.#adapterConnection.acquireLease(
+        DB_HANDLERS_LEASE,
+        LEADER_LEASE_MS,
+      );
+    } catch (error) {
+      this.#isLeader = false;
+      this.logger.warn?.(
+        `MongoRealTime could not renew the db handlers lease: ${error.message}`,
+      );
+    }
+  }
+
+  #publish(message) {
+    Promise.resolve(this.#adapterConnection?.publish(message)).catch(
+      (error) => {
+        this.logger.warn?.(
+          `MongoRealTime adapter publish failed: ${error.message}`,
+        );
+      },
+    );
+  }
+
+  #handleAdapterMessage(message) {
+    const handler = this.#adapterHandlers.get(message?.type);
+    try {
+      handler?.(message);
+    } catch (error) {
+      this.logger.warn?.(
+        `MongoRealTime adapter message "${message.type}" failed: ${error.message}`,
+      );
+    }
+  }
+
   async #listenInternHandlers() {
     const collections = await this.#db.listCollections().toArray();
     for (let c of collections) {
-      this.collection(c.name)
-        .watch([], {
-          fullDocument: "updateLookup",
-        })
-        .on("change", (change) => {
-          Promise.resolve(this.#handleCacheChange(c.name, change)).catch(
-            () => {},
-          );
+      if (!this.#reservedCollections.has(c.name)) {
+        this.#openCollectionStream(c.name, { pinned: true });
+      }
+    }
+  }
 
-          const callHandler = (
-            type = "change",
-            withColl = true,
-            docId = "",
-          ) => {
-            let eventName = `db:${type}`;
-            if (withColl) {
-              eventName += `:${c.name}`;
-              if (!!docId) eventName += `:${docId}`;
-            }
+  /**
+   * Returns the shared change stream of a collection, opening it on first use.
+   * Pinned streams feed the internal `db:*` handlers and stay open until
+   * `stop()`; other streams close with their last subscription.
+   */
+  #openCollectionStream(collectionName, options = {}) {
+    let entry = this.#collectionStreams.get(collectionName);
+    if (entry) {
+      entry.pinned ||= Boolean(options.pinned);
+      return entry;
+    }
+
+    entry = {
+      changeStream: null,
+      queryIds: new Set(),
+      pinned: Boolean(options.pinned),
+      resumeToken: null,
+      restarts: 0,
+      retryTimer: null,
+      closed: false,
+    };
+    this.#collectionStreams.set(collectionName, entry);
+    this.#watchCollection(collectionName, entry);
+
+    return entry;
+  }
+
+  #watchCollection(collectionName, entry, resumeAfter) {
+    const changeStream = this.collection(collectionName).watch([], {
+      fullDocument: "updateLookup",
+      ...(resumeAfter ? { resumeAfter } : {}),
+    });
+    entry.changeStream = changeStream;
+
+    changeStream.on("change", (change) => {
+      if (entry.changeStream !== changeStream) {
+        return;
+      }
+      entry.resumeToken = change._id ?? entry.resumeToken;
+      entry.restarts = 0;
+      this.#handleCollectionChange(collectionName, entry, change);
+    });
+
+    changeStream.on("error", (error) => {
+      if (entry.changeStream !== changeStream || entry.closed) {
+        return;
+      }
+      this.#restartCollectionStream(collectionName, entry, error);
+    });
+  }
+
+  /**
+   * Reopens a failed change stream after its last resume token. When the
+   * stream cannot be resumed, it is reopened from now on and every affected
+   * subscription is resynchronized instead.
+   */
+  #restartCollectionStream(collectionName, entry, error) {
+    const failedStream = entry.changeStream;
+    const resumeToken = failedStream.resumeToken ?? entry.resumeToken;
+    const resumed = Boolean(resumeToken) && !isUnresumableStreamError(error);
+    const delay = Math.min(100 * 2 ** entry.restarts, 30 * 1000);
+
+    entry.changeStream = null;
+    entry.restarts += 1;
+    Promise.resolve(failedStream.close()).catch(() => {});
+
+    this.logger.warn?.(
+      `MongoRealTime change stream error on "${collectionName}": ${error.message}. Restarting ${
+        resumed ? "from its last resume token" : "with a resync"
+      }.`,
+    );
+    this.#emitServerEvent("stream:restart", {
+      collection: collectionName,
+      error,
+      resumed,
+      attempt: entry.restarts,
+    });
+
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      if (entry.closed) {
+        return;
+      }
+
+      if (resumed) {
+        this.#watchCollection(collectionName, entry, resumeToken);
+        return;
+      }
+
+      entry.resumeToken = null;
+      this.#watchCollection(collectionName, entry);
+      this.#clearQueryCacheForCollection(collectionName);
+      for (const queryId of entry.queryIds) {
+        this.#queueSubscriptionTask(queryId, () =>
+          this.#resyncSubscription(queryId),
+        );
+      }
+    }, delay);
+    entry.retryTimer.unref?.();
+  }
+
+  #emitServerEvent(eventName, payload) {
+    const handler = this.#serverEventHandlers.get(eventName);
+    try {
+      handler?.(payload);
+    } catch (error) {
+      this.logger.warn?.(
+        `MongoRealTime "${eventName}" handler failed: ${error.message}`,
+      );
+    }
+  }
+
+  async #releaseCollectionStream(collectionName, queryId) {
+    const entry = this.#collectionStreams.get(collectionName);
+    if (!entry) {
+      return;
+    }
+
+    entry.queryIds.delete(queryId);
+    if (entry.pinned || entry.queryIds.size > 0) {
+      return;
+    }
+
+    this.#collectionStreams.delete(collectionName);
+    await closeStreamEntry(entry);
+  }
+
+  async #closeCollectionStreams() {
+    const entries = Array.from(this.#collectionStreams.values());
+    this.#collectionStreams.clear();
+    await Promise.all(
+      entries.map((entry) => closeStreamEntry(entry).catch(() => {})),
+    );
+  }
+
+  #handleCollectionChange(collectionName, entry, change) {
+    Promise.resolve(this.#handleCacheChange(collectionName, change)).catch(
+      () => {},
+    );
+
+    const token = this.#nextToken();
+    for (const queryId of entry.queryIds) {
+      this.#queueSubscriptionChange(queryId, change, token);
+    }
+
+    if (!entry.pinned) {
+      return;
+    }
+
+    const eventNames = [];
+    const callHandler = (type = "change", withColl = true, docId = "") => {
+      let eventName = `db:${type}`;
+      if (withColl) {
+        eventName += `:${collectionName}`;
+        if (!!docId) eventName += `:${docId}`;
+      }
+
+      const handler = this.#isLeader
+        ? this.#serverEventHandlers.get(eventName)
+        : undefined;
+      try {
+        handler?.(change);
+      } catch (_) {}
+      eventNames.push(eventName);
+    };
+
+    callHandler(change.operationType, true, change.documentKey._id);
+    callHandler("change", true, change.documentKey._id);
+    callHandler(change.operationType);
+    callHandler("change");
+    callHandler(change.operationType, false);
+    callHandler("change", false);
+
+    Promise.resolve(
+      this.#broadcastDbChange(collectionName, eventNames, change),
+    ).catch(() => {});
+  }
+
+  /**
+   * Sends one `realtime:db:change` per event name to every socket allowed to
+   * see the change. Each socket must pass `authorize` for the collection and
+   * its scope is resolved once per change; a socket whose hook or policy throws
+   * is skipped without affecting the others.
+   */
+  async #broadcastDbChange(collectionName, eventNames, change) {
+    const document = change.fullDocument;
+    const fullDocument = this.#redactDocument(collectionName, document);
+
+    for (const socket of [...this.#socketSubscriptions.keys()]) {
+      try {
+        if (!(await this.#canReceiveDbChanges(socket, collectionName))) {
+          continue;
+        }
+        const scope = await this.#resolveScopeFilter(socket, collectionName);
+        if (
+          scope &&
+          (!document || !matchesFilter(document, prepareFilter(scope)))
+        ) {
+          continue;
+        }
+      } catch (error) {
+        this.logger.warn?.(
+          `MongoRealTime could not scope a db change for a socket: ${error.message}`,
+        );
+        continue;
+      }
 
-            const handler = this.#eventHandlers.get(eventName);
-            try {
-              handler?.(change);
-              for (let socket of this.#socketSubscriptions.keys()) {
-                this.#send(socket, {
-                  type: "realtime:db:change",
-                  key: eventName,
-                  collection: c.name,
-                  docId: change.documentKey._id,
-                  operationType: change.operationType,
-                  fullDocument: change.fullDocument,
-                });
-              }
-            } catch (_) {}
-          };
-
-          callHandler(change.operationType, true, change.documentKey._id);
-          callHandler("change", true, change.documentKey._id);
-          callHandler(change.operationType);
-          callHandler("change");
-          callHandler(change.operationType, false);
-          callHandler("change", false);
+      for (const eventName of eventNames) {
+        this.#sendDbChange(socket, {
+          type: "realtime:db:change",
+          key: eventName,
+          collection: collectionName,
+          docId: change.documentKey._id,
+          operationType: change.operationType,
+          fullDocument,
         });
+      }
+    }
+  }
+
+  /**
+   * Sends a `realtime:db:change` message, or queues it in the socket's batch
+   * when `batchWindowMs` is set. A queued message for the same key and
+   * document is replaced by the latest one. Messages a paused socket misses
+   * are counted instead.
+   */
+  #sendDbChange(socket, payload) {
+    if (this.#pausedSockets.has(socket)) {
+      this.#skipDbChanges(socket, [payload]);
+      return;
+    }
+    if (this.#batchWindowMs === 0) {
+      this.#sendUntracked(socket, payload);
+      return;
+    }
+
+    let batch = this.#socketBatches.get(socket);
+    if (!batch) {
+      batch = {
+        events: [],
+        timer: setTimeout(() => {
+          this.#socketBatches.delete(socket);
+          if (this.#pausedSockets.has(socket)) {
+            this.#skipDbChanges(socket, batch.events);
+            return;
+          }
+          this.#sendUntracked(socket, {
+            type: "realtime:batch",
+            events: batch.events,
+          });
+        }, this.#batchWindowMs),
+      };
+      batch.timer.unref?.();
+      this.#socketBatches.set(socket, batch);
+    }
+
+    const index = batch.events.findIndex(
+      (queued) =>
+        queued.key === payload.key &&
+        String(queued.docId) === String(payload.docId),
+    );
+    if (index < 0) {
+      batch.events.push(payload);
+    } else {
+      batch.events[index] = payload;
+    }
+  }
+
+  /**
+   * Counts per collection the `realtime:db:change` messages a paused socket
+   * misses, so it learns about them once it resumes.
+   */
+  #skipDbChanges(socket, payloads) {
+    const skipped = this.#skippedDbChanges.get(socket) ?? new Map();
+    for (const { collection } of payloads) {
+      skipped.set(collection, (skipped.get(collection) ?? 0) + 1);
     }
+    this.#skippedDbChanges.set(socket, skipped);
   }
 
   /**
@@ -256,10 +867,55 @@ class MongoRealTimeServer {
    * @returns {Promise<void>}
    */
   async stop() {
+    if (this.#heartbeatTimer) {
+      clearInterval(this.#heartbeatTimer);
+      this.#heartbeatTimer = null;
+    }
+    for (const timeoutId of this.#socketHeartbeats.values()) {
+      clearTimeout(timeoutId);
+    }
+    this.#socketHeartbeats.clear();
+    for (const batch of this.#socketBatches.values()) {
+      clearTimeout(batch.timer);
+    }
+    this.#socketBatches.clear();
+    this.#pausedSockets.clear();
+    this.#skippedPresence.clear();
+    this.#skippedDbChanges.clear();
+    this.#rooms.clear();
+    this.#socketRooms.clear();
+
+    if (this.#leaseTimer) {
+      clearInterval(this.#leaseTimer);
+      this.#leaseTimer = null;
+    }
+    if (this.#presenceTimer) {
+      clearInterval(this.#presenceTimer);
+      this.#presenceTimer = null;
+    }
+    if (this.#adapterConnection) {
+      const connection = this.#adapterConnection;
+      this.#adapterConnection = null;
+      if (this.#presence.size > 0) {
+        await connection
+          .publish({ type: "presence:reset", origin: this.#instanceId })
+          .catch(() => {});
+      }
+      if (this.#singletonDbHandlers && this.#isLeader) {
+        await connection.releaseLease(DB_HANDLERS_LEASE).catch(() => {});
+      }
+      await connection.close().catch(() => {});
+      this.#isLeader = !this.#singletonDbHandlers;
+    }
+    this.#presence.clear();
+    this.#socketPresence.clear();
+    this.#remotePresence.clear();
+
     const activeSubscriptions = Array.from(this.#subscriptions.keys());
     await Promise.all(
       activeSubscriptions.map((queryId) => this.#unsubscribe(queryId)),
     );
+    await this.#closeCollectionStreams();
 
     for (const socket of this.#socketSubscriptions.keys()) {
       try {
@@ -267,6 +923,9 @@ class MongoRealTimeServer {
       } catch {}
     }
     this.#socketSubscriptions.clear();
+    this.#socketUsers.clear();
+    this.#socketCodecs.clear();
+    this.#dbChangeGrants.clear();
 
     await new Promise((resolve) => this.#wss.close(() => resolve()));
 
@@ -296,14 +955,20 @@ class MongoRealTimeServer {
    */
   async #handleConnection(socket) {
     this.#socketSubscriptions.set(socket, new Set());
+    this.#socketHeartbeats.set(socket, null);
+
+    socket.on("pong", () => this.#markAlive(socket));
 
     socket.on("message", (buffer) => {
+      this.#markAlive(socket);
       Promise.resolve(this.#handleMessage(socket, buffer)).catch((error) => {
         this.#sendError(socket, error);
       });
     });
 
     socket.on("close", () => {
+      clearTimeout(this.#socketHeartbeats.get(socket));
+      this.#socketHeartbeats.delete(socket);
       Promise.resolve(this.#cleanupSocketSubscriptions(socket)).catch(
         (error) => {
           this.logger.warn?.(
@@ -318,74 +983,622 @@ class MongoRealTimeServer {
     });
   }
 
+  #checkHeartbeats() {
+    for (const [socket, timeoutId] of this.#socketHeartbeats.entries()) {
+      if (timeoutId || socket.readyState !== 1) {
+        continue;
+      }
+
+      this.#socketHeartbeats.set(
+        socket,
+        setTimeout(() => {
+          this.logger.warn?.(
+            "MongoRealTime socket did not answer the heartbeat; terminating it.",
+          );
+          socket.terminate();
+        }, this.#heartbeatTimeoutMs),
+      );
+      try {
+        socket.ping();
+      } catch {}
+    }
+  }
+
+  #markAlive(socket) {
+    const timeoutId = this.#socketHeartbeats.get(socket);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+      this.#socketHeartbeats.set(socket, null);
+    }
+  }
+
   async #handleMessage(socket, buffer) {
-    const message = parsePayload(buffer);
+    const message = parsePayload(buffer, this.#socketCodecs.get(socket));
+
+    try {
+      await this.#authorizeOperation(socket, message);
+    } catch (error) {
+      if (isAcknowledgedWrite(message)) {
+        this.#sendWriteError(socket, message, error);
+        return;
+      }
+      this.#sendError(
+        socket,
+        error,
+        optionalString(message.queryId),
+        optionalString(message.requestId),
+      );
+      return;
+    }
 
     switch (message.type) {
       case "realtime:subscribe":
         await this.#subscribe(socket, message);
         return;
       case "realtime:unsubscribe":
-        await this.#unsubscribe(String(message.queryId ?? ""));
+        await this.#unsubscribe(String(message.queryId ?? ""), socket);
         return;
       case "realtime:fetch":
         await this.#fetch(socket, message);
         return;
       case "realtime:insert":
-        await this.#insert(message);
+        await this.#acknowledgeWrite(socket, message, () =>
+          this.#insert(socket, message),
+        );
         return;
       case "realtime:update":
-        await this.#update(message);
+        await this.#acknowledgeWrite(socket, message, () =>
+          this.#update(socket, message),
+        );
         return;
       case "realtime:delete":
-        await this.#delete(message);
+        await this.#acknowledgeWrite(socket, message, () =>
+          this.#delete(socket, message),
+        );
+        return;
+      case "realtime:aggregate":
+        await this.#aggregate(socket, message);
+        return;
+      case "realtime:count":
+      case "realtime:distinct":
+        await this.#tally(socket, message);
+        return;
+      case "realtime:transaction":
+        await this.#transaction(socket, message);
         return;
       case "realtime:emit":
         await this.#emit(socket, message);
         return;
-      default:
-        throw new Error(`Unsupported message type "${message.type}".`);
-    }
-  }
-
+      case "realtime:presence:join": {
+        const topic = presenceTopic(message);
+        this.#joinPresence(socket, topic, deepCopy(message.state ?? null));
+        this.#send(socket, {
+          type: "realtime:presence",
+          action: "sync",
+          ...topic.target,
+          members: this.#presenceMembers(topic.key),
+          ...(optionalString(message.requestId)
+            ? { requestId: message.requestId }
+            : {}),
+        });
+        return;
+      }
+      case "realtime:presence:update":
+      case "realtime:presence:leave": {
+        const topic = presenceTopic(message);
+        if (message.type === "realtime:presence:update") {
+          this.#updatePresence(socket, topic, deepCopy(message.state ?? null));
+        } else {
+          this.#leavePresence(socket, topic.key);
+        }
+        this.#send(socket, {
+          type: `${message.type}:result`,
+          ...topic.target,
+          ...(optionalString(message.requestId)
+            ? { requestId: message.requestId }
+            : {}),
+        });
+        return;
+      }
+      case "realtime:join":
+      case "realtime:leave": {
+        const room = requiredString(message.room, "room");
+        if (message.type === "realtime:join") {
+          this.join(socket, room);
+        } else {
+          this.leave(socket, room);
+        }
+        this.#send(socket, {
+          type: `${message.type}:result`,
+          room,
+          ...(optionalString(message.requestId)
+            ? { requestId: message.requestId }
+            : {}),
+        });
+        return;
+      }
+      case "realtime:ping":
+        this.#send(socket, {
+          type: "realtime:pong",
+          time: Date.now(),
+          ...(optionalString(message.requestId)
+            ? { requestId: message.requestId }
+            : {}),
+        });
+        return;
+      default:
+        throw new Error(`Unsupported message type "${message.type}".`);
+    }
+  }
+
+  async #authorizeOperation(socket, message) {
+    if (typeof this.#authorize !== "function") {
+      return;
+    }
+
+    const operation = describeOperation(message);
+    if (!operation) {
+      return;
+    }
+
+    const details = {
+      operation: operation.type,
+      ...(operation.collection ? { collection: operation.collection } : {}),
+      ...(operation.event ? { event: operation.event } : {}),
+      ...(operation.room ? { room: operation.room } : {}),
+    };
+
+    let allowed;
+    try {
+      allowed = await this.#authorize(this.#createContext(socket), operation);
+    } catch (error) {
+      if (error instanceof RealtimeError) {
+        throw error;
+      }
+      throw new AuthorizationError(
+        error instanceof Error ? error.message : String(error),
+        details,
+      );
+    }
+
+    if (allowed === false) {
+      throw new AuthorizationError(
+        `Not authorized to ${operation.type}${
+          operation.collection ? ` on "${operation.collection}"` : ""
+        }${operation.event ? ` "${operation.event}"` : ""}${
+          operation.room ? ` "${operation.room}"` : ""
+        }.`,
+        details,
+      );
+    }
+  }
+
+  /**
+   * Asks `authorize` once per socket and collection whether the socket may
+   * receive `realtime:db:change` broadcasts, as a `db:change` operation. The
+   * decision is cached for the lifetime of the socket; throwing denies.
+   */
+  #canReceiveDbChanges(socket, collectionName) {
+    if (typeof this.#authorize !== "function") {
+      return true;
+    }
+    if (!this.#socketSubscriptions.has(socket)) {
+      return false;
+    }
+
+    let grants = this.#dbChangeGrants.get(socket);
+    if (!grants) {
+      grants = new Map();
+      this.#dbChangeGrants.set(socket, grants);
+    }
+    if (!grants.has(collectionName)) {
+      grants.set(
+        collectionName,
+        Promise.resolve()
+          .then(() =>
+            this.#authorize(this.#createContext(socket), {
+              type: "db:change",
+              collection: collectionName,
+            }),
+          )
+          .then(
+            (allowed) => allowed !== false,
+            () => false,
+          ),
+      );
+    }
+    return grants.get(collectionName);
+  }
+
+  #assertClientCollection(collectionName) {
+    if (this.#reservedCollections.has(collectionName)) {
+      throw new AuthorizationError(
+        `Collection "${collectionName}" is reserved.`,
+        { collection: collectionName },
+      );
+    }
+    return collectionName;
+  }
+
+  async #resolveScopeFilter(socket, collectionName) {
+    const policy = this.#policies[collectionName];
+    if (typeof policy?.filter !== "function") {
+      return null;
+    }
+
+    const scope = await policy.filter(this.#createContext(socket));
+    if (scope == null) {
+      return null;
+    }
+    if (!isPlainObject(scope)) {
+      throw new TypeError(
+        `Expected the "${collectionName}" policy filter to return a plain object.`,
+      );
+    }
+    return deepCopy(scope);
+  }
+
+  async #normalizeQuery(socket, message) {
+    const collectionName = this.#assertClientCollection(
+      requiredString(message.collection, "collection"),
+    );
+    assertClientFilter(optionalObject(message.filter));
+    this.#ensureFilterAvoidsRedactedPaths(
+      collectionName,
+      optionalObject(message.filter),
+      optionalObject(message.sort),
+    );
+    const scope = await this.#resolveScopeFilter(socket, collectionName);
+    return normalizeQuery(message, scope);
+  }
+
+  #redactedPaths(collectionName) {
+    const redact = this.#policies[collectionName]?.redact;
+    return Array.isArray(redact) ? redact : [];
+  }
+
+  #redactDocument(collectionName, document) {
+    const paths = this.#redactedPaths(collectionName);
+    if (paths.length === 0 || !document) {
+      return document;
+    }
+    return omitPaths(document, paths);
+  }
+
+  #presentDocument(query, document) {
+    if (!document) {
+      return document;
+    }
+    return omitPaths(
+      projectDocument(document, query.projection),
+      this.#redactedPaths(query.collection),
+    );
+  }
+
+  #presentDocuments(query, documents) {
+    return documents.map((document) => this.#presentDocument(query, document));
+  }
+
+  #presentSnapshot(query, documents) {
+    if (isTallyQuery(query)) {
+      return tallyDocuments(query, documents);
+    }
+    return { documents: this.#presentDocuments(query, documents) };
+  }
+
+  #ensureFilterAvoidsRedactedPaths(collectionName, filter, sort = {}) {
+    const redacted = this.#redactedPaths(collectionName);
+    if (redacted.length === 0) {
+      return;
+    }
+
+    for (const path of [...collectFilterPaths(filter), ...Object.keys(sort)]) {
+      if (redacted.some((redactedPath) => overlapsPath(redactedPath, path))) {
+        throw new AuthorizationError(
+          `Field "${path}" of "${collectionName}" cannot be queried.`,
+          { collection: collectionName, field: path },
+        );
+      }
+    }
+  }
+
+  #createContext(socket) {
+    return {
+      socket,
+      server: this,
+      user: this.#socketUsers.get(socket) ?? null,
+    };
+  }
+
   async #subscribe(socket, message) {
-    const query = normalizeQuery(message);
+    const query = await this.#normalizeQuery(socket, message);
+    assertSupportedFilter(query.filter);
+    await this.#startSubscription(socket, query, message);
+  }
+
+  async #aggregate(socket, message) {
+    const query = await this.#normalizeAggregateQuery(socket, message);
+    await this.#startSubscription(socket, query, message);
+  }
+
+  async #normalizeAggregateQuery(socket, message) {
+    const collectionName = this.#assertClientCollection(
+      requiredString(message.collection, "collection"),
+    );
+    const pipeline = normalizePipeline(message.pipeline);
+    const redacted = this.#redactedPaths(collectionName);
+    const mentioned = redacted.find((path) => pipelineMentionsPath(pipeline, path));
+    if (mentioned) {
+      throw new AuthorizationError(
+        `Field "${mentioned}" of "${collectionName}" cannot be aggregated.`,
+        { collection: collectionName, field: mentioned },
+      );
+    }
+
+    const joins = [...new Set(collectPipelineCollections(pipeline))];
+    for (const joined of joins) {
+      this.#assertClientCollection(joined);
+      await this.#authorizeOperation(socket, {
+        type: message.type,
+        collection: joined,
+        pipeline,
+      });
+      if (await this.#resolveScopeFilter(socket, joined)) {
+        throw new AuthorizationError(
+          `Collection "${joined}" is scoped and cannot be joined.`,
+          { collection: collectionName, joined },
+        );
+      }
+      if (this.#redactedPaths(joined).length > 0) {
+        throw new AuthorizationError(
+          `Collection "${joined}" has redacted fields and cannot be joined.`,
+          { collection: collectionName, joined },
+        );
+      }
+    }
+
+    const scope = await this.#resolveScopeFilter(socket, collectionName);
+    return {
+      kind: "aggregate",
+      collection: collectionName,
+      pipeline: scope ? [{ $match: scope }, ...pipeline] : pipeline,
+      joins,
+      queryId: String(message.queryId ?? randomUUID()),
+    };
+  }
+
+  async #tally(socket, message) {
+    const query = await this.#normalizeQuery(socket, message);
+    assertSupportedFilter(query.filter);
+    query.kind = message.type.replace(/^realtime:/, "");
+    query.sort = {};
+    query.limit = undefined;
+    query.projection = { _id: 1 };
+
+    if (query.kind === "distinct") {
+      query.field = requiredString(message.field, "field");
+      if (this.#redactedPaths(query.collection).some((path) =>
+        overlapsPath(path, query.field))) {
+        throw new AuthorizationError(
+          `Field "${query.field}" of "${query.collection}" cannot be queried.`,
+          { collection: query.collection, field: query.field },
+        );
+      }
+      query.projection[query.field] = 1;
+    }
+
+    await this.#startSubscription(socket, query, message);
+  }
+
+  async #startSubscription(socket, query, message) {
+    const resumeAfter = optionalString(message.resumeAfter);
+    if (resumeAfter && this.#resumeSubscription(socket, query, resumeAfter)) {
+      return;
+    }
+
+    const existing = this.#subscriptions.get(query.queryId);
+    if (existing && !this.#ownsSubscription(socket, existing)) {
+      throw new AuthorizationError(
+        `Query id "${query.queryId}" is used by another connection.`,
+        { queryId: query.queryId },
+      );
+    }
     await this.#unsubscribe(query.queryId);
 
     const collection = this.collection(query.collection);
-    const documents = await this.#findDocuments(collection, query);
-    const changeStream = collection.watch([], { fullDocument: "updateLookup" });
+    const documents = await this.#loadDocuments(collection, query);
 
+    const token = this.#nextToken();
     const subscription = {
       socket,
+      user: this.#socketUsers.get(socket) ?? null,
       query,
       collection,
-      changeStream,
       documents: cloneDocuments(documents),
       pending: Promise.resolve(),
+      journal: [],
+      journalFrom: token,
+      detachTimer: null,
+      batchWindowMs: this.#requestedBatchWindow(message),
+      batch: null,
+      dirty: false,
     };
 
     this.#subscriptions.set(query.queryId, subscription);
     this.#socketSubscriptions.get(socket)?.add(query.queryId);
+    for (const collectionName of queryCollections(query)) {
+      this.#openCollectionStream(collectionName).queryIds.add(query.queryId);
+    }
 
-    changeStream.on("change", (change) => {
-      this.#queueSubscriptionChange(query.queryId, change);
+    this.#send(socket, {
+      type: snapshotType(query),
+      collection: query.collection,
+      queryId: query.queryId,
+      ...this.#presentSnapshot(query, documents),
+      token,
     });
+  }
 
-    changeStream.on("error", (error) => {
-      this.#sendError(socket, error, query.queryId);
-    });
+  /**
+   * Reattaches a detached subscription to a reconnected socket and replays the
+   * events it missed after `resumeAfter`. Returns `false` when the client must
+   * receive a fresh snapshot instead.
+   */
+  #resumeSubscription(socket, query, resumeAfter) {
+    const subscription = this.#subscriptions.get(query.queryId);
+    if (
+      !subscription?.detachTimer ||
+      !this.#ownsSubscription(socket, subscription) ||
+      !sameQuery(subscription.query, query)
+    ) {
+      return false;
+    }
+
+    let missed;
+    if (resumeAfter === subscription.journalFrom) {
+      missed = subscription.journal;
+    } else {
+      const index = subscription.journal.findIndex(
+        (payload) => payload.token === resumeAfter,
+      );
+      if (index < 0) {
+        return false;
+      }
+      missed = subscription.journal.slice(index + 1);
+    }
+
+    clearTimeout(subscription.detachTimer);
+    subscription.detachTimer = null;
+    subscription.dirty = false;
+    subscription.socket = socket;
+    this.#socketSubscriptions.get(socket)?.add(query.queryId);
 
     this.#send(socket, {
-      type: "realtime:initial",
+      type: "realtime:resumed",
       collection: query.collection,
       queryId: query.queryId,
-      documents,
+      resumeAfter,
+      count: missed.length,
     });
+    for (const payload of missed) {
+      this.#send(socket, payload);
+    }
+    return true;
+  }
+
+  /**
+   * Tells whether `socket` may replace or resume `subscription`: it opened it,
+   * or it was detached from a closed socket with the same identity.
+   */
+  #ownsSubscription(socket, subscription) {
+    if (subscription.socket === socket) {
+      return true;
+    }
+    return (
+      Boolean(subscription.detachTimer) &&
+      isDeepStrictEqual(
+        subscription.user,
+        this.#socketUsers.get(socket) ?? null,
+      )
+    );
+  }
+
+  #detachSubscription(queryId) {
+    const subscription = this.#subscriptions.get(queryId);
+    if (!subscription || subscription.detachTimer) {
+      return;
+    }
+
+    subscription.detachTimer = setTimeout(() => {
+      Promise.resolve(this.#unsubscribe(queryId)).catch(() => {});
+    }, this.#resumeWindowMs);
+    subscription.detachTimer.unref?.();
+  }
+
+  /**
+   * Batching window of a new subscription: the one the client asked for,
+   * capped at `maxBatchWindowMs`, or the server-wide `batchWindowMs`.
+   */
+  #requestedBatchWindow(message) {
+    const requested = optionalDuration(message.batchWindowMs);
+    return requested === undefined
+      ? this.#batchWindowMs
+      : Math.min(requested, this.#maxBatchWindowMs);
+  }
+
+  #nextToken() {
+    this.#sequence += 1;
+    return `${this.#instanceId}:${this.#sequence}`;
+  }
+
+  #deliver(subscription, payload) {
+    if (this.#resumeWindowMs > 0) {
+      subscription.journal.push(payload);
+      if (subscription.journal.length > this.#resumeBufferSize) {
+        subscription.journalFrom = subscription.journal.shift().token;
+      }
+    }
+
+    if (subscription.detachTimer || subscription.socket.readyState !== 1) {
+      return;
+    }
+    if (this.#pausedSockets.has(subscription.socket)) {
+      subscription.dirty = true;
+      return;
+    }
+    this.#send(subscription.socket, payload);
+  }
+
+  /**
+   * Called once a paused socket has flushed its buffer. Every subscription
+   * that skipped events meanwhile receives a fresh snapshot of the state it
+   * kept tracking instead of the backlog, and so does every presence topic.
+   */
+  #resumeDelivery(socket) {
+    this.#pausedSockets.delete(socket);
+
+    const skipped = this.#skippedPresence.get(socket) ?? new Map();
+    this.#skippedPresence.delete(socket);
+    for (const [key, target] of skipped) {
+      this.#sendPresence(socket, key, target, {
+        type: "realtime:presence",
+        action: "sync",
+        ...target,
+        members: this.#presenceMembers(key),
+      });
+    }
+
+    const skippedDbChanges = this.#skippedDbChanges.get(socket);
+    this.#skippedDbChanges.delete(socket);
+    if (skippedDbChanges) {
+      this.#sendUntracked(socket, {
+        type: "realtime:db:change:skipped",
+        collections: Object.fromEntries(skippedDbChanges),
+      });
+    }
+
+    for (const queryId of this.#socketSubscriptions.get(socket) ?? []) {
+      const subscription = this.#subscriptions.get(queryId);
+      if (!subscription?.dirty) {
+        continue;
+      }
+
+      subscription.dirty = false;
+      this.#queueSubscriptionTask(queryId, () => {
+        const { query, documents } = subscription;
+        this.#deliver(subscription, {
+          type: snapshotType(query),
+          collection: query.collection,
+          queryId,
+          ...this.#presentSnapshot(query, documents),
+          token: this.#nextToken(),
+        });
+      });
+    }
   }
 
   async #fetch(socket, message) {
-    const query = normalizeQuery(message);
+    const query = await this.#normalizeQuery(socket, message);
     const documents = await this.#findDocuments(
       this.collection(query.collection),
       query,
@@ -395,90 +1608,405 @@ class MongoRealTimeServer {
       type: "realtime:initial",
       collection: query.collection,
       queryId: query.queryId,
-      documents,
+      documents: this.#presentDocuments(query, documents),
     });
   }
 
-  async #unsubscribe(queryId) {
+  /**
+   * Stops a subscription. With a `socket`, only a subscription that socket
+   * currently holds is stopped.
+   */
+  async #unsubscribe(queryId, socket = null) {
     if (!queryId) {
       return;
     }
 
     const subscription = this.#subscriptions.get(queryId);
-    if (!subscription) {
+    if (!subscription || (socket && subscription.socket !== socket)) {
       return;
     }
 
     this.#subscriptions.delete(queryId);
     this.#socketSubscriptions.get(subscription.socket)?.delete(queryId);
-    await subscription.changeStream.close();
+    if (subscription.detachTimer) {
+      clearTimeout(subscription.detachTimer);
+    }
+    clearTimeout(subscription.batch?.timer);
+    await Promise.all(
+      queryCollections(subscription.query).map((collectionName) =>
+        this.#releaseCollectionStream(collectionName, queryId),
+      ),
+    );
   }
 
   async #cleanupSocketSubscriptions(socket) {
     const queryIds = Array.from(this.#socketSubscriptions.get(socket) ?? []);
     this.#socketSubscriptions.delete(socket);
+    this.#socketUsers.delete(socket);
+    this.#socketCodecs.delete(socket);
+    this.#dbChangeGrants.delete(socket);
+    clearTimeout(this.#socketBatches.get(socket)?.timer);
+    this.#socketBatches.delete(socket);
+    this.#pausedSockets.delete(socket);
+    this.#skippedPresence.delete(socket);
+    this.#skippedDbChanges.delete(socket);
+    for (const room of this.#socketRooms.get(socket) ?? []) {
+      this.leave(socket, room);
+    }
+    this.#socketRooms.delete(socket);
+    for (const key of this.#socketPresence.get(socket)?.topics ?? []) {
+      this.#leavePresence(socket, key);
+    }
+    this.#socketPresence.delete(socket);
+
+    if (this.#resumeWindowMs > 0) {
+      for (const queryId of queryIds) {
+        this.#detachSubscription(queryId);
+      }
+      return;
+    }
+
     await Promise.all(queryIds.map((queryId) => this.#unsubscribe(queryId)));
   }
 
-  async #insert(message) {
-    const collection = this.collection(
+  async #insert(socket, message, options = {}) {
+    const collectionName = this.#assertClientCollection(
       requiredString(message.collection, "collection"),
     );
-    const document = prepareDocumentForWrite(
-      requiredObject(message.document, "document"),
+    const collection = this.collection(collectionName);
+    const scope = await this.#resolveScopeFilter(socket, collectionName);
+    const args = {
+      collection: collectionName,
+      document: requiredObject(message.document, "document"),
+    };
+
+    await this.#runHooks(socket, "before", "insert", args);
+    if (scope) {
+      stampScope(args.document, scope, collectionName);
+    }
+    await this.#validateDocuments(
+      socket,
+      collectionName,
+      [args.document],
+      "insert",
+    );
+
+    const result = await collection.insertOne(
+      prepareDocumentForWrite(args.document),
+      { session: options.session },
+    );
+    const data = {
+      insertedId: result.insertedId ?? null,
+    };
+    this.#scheduleAfterHooks(
+      socket,
+      "insert",
+      { ...args, result: data },
+      options,
     );
-    await collection.insertOne(document);
+    return data;
   }
 
-  async #update(message) {
-    const collection = this.collection(
+  async #update(socket, message, options = {}) {
+    const collectionName = this.#assertClientCollection(
       requiredString(message.collection, "collection"),
     );
-    const filter = prepareFilter(optionalObject(message.filter));
-    const update = normalizeMongoUpdate(
-      requiredObject(message.update, "update"),
+    const collection = this.collection(collectionName);
+    const { filter: clientFilter, scope } = await this.#prepareWriteFilter(
+      socket,
+      collectionName,
+      message,
     );
+    const args = {
+      collection: collectionName,
+      filter: clientFilter,
+      update: normalizeMongoUpdate(requiredObject(message.update, "update")),
+    };
 
-    ensureUpdateDoesNotChangeId(update);
-    await collection.updateMany(filter, update);
+    await this.#runHooks(socket, "before", "update", args);
+    args.update = normalizeMongoUpdate(args.update);
+    ensureUpdateDoesNotChangeId(args.update);
+    if (scope) {
+      ensureUpdateKeepsScope(args.update, scope, collectionName);
+    }
+    const filter = prepareFilter(scopeFilter(args.filter, scope));
+    if (this.#policies[collectionName]?.schema) {
+      const matched = await collection
+        .find(filter, { session: options.session })
+        .toArray();
+      await this.#validateDocuments(
+        socket,
+        collectionName,
+        matched.map((document) =>
+          applyMongoUpdate(document, args.update, { filter }),
+        ),
+        "update",
+      );
+    }
+    const result = await collection.updateMany(filter, args.update, {
+      session: options.session,
+    });
+    const data = {
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+    };
+    this.#scheduleAfterHooks(
+      socket,
+      "update",
+      { ...args, result: data },
+      options,
+    );
+    return data;
   }
 
-  async #delete(message) {
-    const collection = this.collection(
+  async #delete(socket, message, options = {}) {
+    const collectionName = this.#assertClientCollection(
       requiredString(message.collection, "collection"),
     );
-    const filter = prepareFilter(optionalObject(message.filter));
-    await collection.deleteMany(filter);
-  }
-
-  async #emit(socket, message) {
-    const eventName = requiredString(message.event, "event");
-    let requestId =
-      typeof message.requestId === "string" ? message.requestId : undefined;
-    const handler = this.#eventHandlers.get(eventName);
+    const collection = this.collection(collectionName);
+    const { filter: clientFilter, scope } = await this.#prepareWriteFilter(
+      socket,
+      collectionName,
+      message,
+    );
+    const args = {
+      collection: collectionName,
+      filter: clientFilter,
+    };
 
-    if (!handler) {
-      if (requestId) {
-        this.#send(socket, {
-          type: "realtime:emit:error",
-          event: eventName,
-          requestId,
-          error: `No handler registered for event "${eventName}".`,
-        });
-        return;
-      }
+    await this.#runHooks(socket, "before", "delete", args);
+    const filter = prepareFilter(scopeFilter(args.filter, scope));
+    const result = await collection.deleteMany(filter, {
+      session: options.session,
+    });
+    const data = {
+      deletedCount: result.deletedCount,
+    };
+    this.#scheduleAfterHooks(
+      socket,
+      "delete",
+      { ...args, result: data },
+      options,
+    );
+    return data;
+  }
 
-      throw new Error(`No handler registered for event "${eventName}".`);
+  async #runHooks(socket, phase, operation, args) {
+    const hookName = toHookName(phase, operation);
+    const handlers = [
+      ...(this.#hooks.get(hookName) ?? []),
+      ...(this.#hooks.get(`${hookName}:${args.collection}`) ?? []),
+    ];
+    if (handlers.length === 0) {
+      return;
     }
 
-    try {
-      const result = await handler(message.payload, {
-        socket,
-        server: this,
-        requestId,
-      });
+    const context = this.#createContext(socket);
+    for (const handler of handlers) {
+      await handler(args, context);
+    }
+  }
 
-      requestId ||= "";
+  /**
+   * Runs `after*` hooks once the write is durable: right away for single
+   * writes, or after the commit when `options.afterHooks` collects them for a
+   * transaction. Their failures are logged, since the write already happened.
+   */
+  #scheduleAfterHooks(socket, operation, args, options) {
+    const run = () =>
+      Promise.resolve(this.#runHooks(socket, "after", operation, args)).catch(
+        (error) => {
+          this.logger.warn?.(
+            `MongoRealTime "${toHookName("after", operation)}" hook failed: ${error.message}`,
+          );
+        },
+      );
+
+    if (Array.isArray(options.afterHooks)) {
+      options.afterHooks.push(run);
+      return;
+    }
+    run();
+  }
+
+  /**
+   * Runs an ordered list of writes atomically in a MongoDB transaction and
+   * answers once with every result, or with the error that rolled it back.
+   */
+  async #transaction(socket, message) {
+    const requestId = optionalString(message.requestId);
+    let failedIndex;
+    let results;
+    let afterHooks = [];
+
+    try {
+      const operations = normalizeTransactionOperations(message.operations);
+      for (const [index, operation] of operations.entries()) {
+        failedIndex = index;
+        await this.#authorizeOperation(socket, operation);
+      }
+      failedIndex = undefined;
+
+      const session = this.#getMongoClient().startSession();
+      try {
+        await session.withTransaction(async () => {
+          results = [];
+          afterHooks = [];
+          for (const [index, operation] of operations.entries()) {
+            failedIndex = index;
+            results.push({
+              type: operation.type.replace(/^realtime:/, ""),
+              ...(await this.#runWrite(socket, operation, {
+                session,
+                afterHooks,
+              })),
+            });
+          }
+          failedIndex = undefined;
+        });
+      } finally {
+        await session.endSession();
+      }
+    } catch (error) {
+      this.#sendWriteError(
+        socket,
+        { type: "realtime:transaction", requestId },
+        error,
+        failedIndex !== undefined ? { index: failedIndex } : {},
+      );
+      return;
+    }
+
+    for (const run of afterHooks) {
+      run();
+    }
+    this.#send(socket, {
+      type: "realtime:transaction:result",
+      ...(requestId ? { requestId } : {}),
+      data: { results },
+    });
+  }
+
+  #runWrite(socket, message, options) {
+    switch (message.type) {
+      case "realtime:insert":
+        return this.#insert(socket, message, options);
+      case "realtime:update":
+        return this.#update(socket, message, options);
+      case "realtime:delete":
+        return this.#delete(socket, message, options);
+      default:
+        throw new TypeError(`Unsupported write type "${message.type}".`);
+    }
+  }
+
+  #getMongoClient() {
+    const client = this.#mongoClient ?? this.#db?.client;
+    if (!client) {
+      throw new Error("Transactions require a connected MongoClient.");
+    }
+    return client;
+  }
+
+  /**
+   * Runs a write and, when the message carries a `requestId`, answers with a
+   * `realtime:<operation>:result` or `realtime:<operation>:error` message.
+   */
+  async #acknowledgeWrite(socket, message, write) {
+    if (!isAcknowledgedWrite(message)) {
+      await write();
+      return;
+    }
+
+    let data;
+    try {
+      data = await write();
+    } catch (error) {
+      this.#sendWriteError(socket, message, error);
+      return;
+    }
+
+    this.#send(socket, {
+      type: `${message.type}:result`,
+      collection: message.collection,
+      requestId: message.requestId,
+      data,
+    });
+  }
+
+  /**
+   * Answers an acknowledged write with a `realtime:<operation>:error` message.
+   */
+  #sendWriteError(socket, message, error, extra = {}) {
+    this.#sendError(
+      socket,
+      error,
+      undefined,
+      optionalString(message.requestId),
+      { type: `${message.type}:error`, collection: message.collection, ...extra },
+    );
+  }
+
+  async #validateDocuments(socket, collectionName, documents, operation) {
+    const schema = this.#policies[collectionName]?.schema;
+    if (!schema) {
+      return;
+    }
+
+    for (const document of documents.map(serializeDocument)) {
+      const errors =
+        typeof schema === "function"
+          ? normalizeValidationErrors(
+              await schema(document, this.#createContext(socket)),
+            )
+          : validateSchema(withoutUndeclaredId(document, schema), schema);
+
+      if (errors.length > 0) {
+        throw new ValidationError(errors, {
+          operation,
+          collection: collectionName,
+          ...(document?._id !== undefined ? { documentId: document._id } : {}),
+        });
+      }
+    }
+  }
+
+  async #prepareWriteFilter(socket, collectionName, message) {
+    const filter = optionalObject(message.filter);
+    assertClientFilter(filter);
+    this.#ensureFilterAvoidsRedactedPaths(collectionName, filter);
+    const scope = await this.#resolveScopeFilter(socket, collectionName);
+
+    return { filter, scope };
+  }
+
+  async #emit(socket, message) {
+    const eventName = requiredString(message.event, "event");
+    let requestId =
+      typeof message.requestId === "string" ? message.requestId : undefined;
+    const handler = this.#eventHandlers.get(eventName);
+
+    if (!handler) {
+      if (requestId) {
+        this.#send(socket, {
+          type: "realtime:emit:error",
+          event: eventName,
+          requestId,
+          error: `No handler registered for event "${eventName}".`,
+        });
+        return;
+      }
+
+      throw new Error(`No handler registered for event "${eventName}".`);
+    }
+
+    try {
+      const result = await handler(message.payload, {
+        ...this.#createContext(socket),
+        requestId,
+      });
+
+      requestId ||= "";
       this.#send(socket, {
         type: "realtime:emit:result",
         event: eventName,
@@ -500,31 +2028,137 @@ class MongoRealTimeServer {
     }
   }
 
-  async #forwardChange(queryId, change) {
+  async #forwardChange(queryId, change, token) {
     const subscription = this.#subscriptions.get(queryId);
     if (!subscription) {
       return;
     }
 
     const { socket, query } = subscription;
-    if (socket.readyState !== 1) {
+    if (this.#resumeWindowMs === 0 && socket.readyState !== 1) {
+      return;
+    }
+
+    if (subscription.batchWindowMs > 0) {
+      this.#batchChange(subscription, change, token);
       return;
     }
 
     if (requiresSubscriptionResync(query)) {
-      await this.#resyncSubscription(queryId);
+      await this.#resyncSubscription(queryId, token);
       return;
     }
 
     const payload = this.#buildChangePayload(subscription, change);
-    if (!payload) {
+    const event = payload && this.#presentChange(query, payload);
+    if (!event) {
       return;
     }
 
-    this.#send(socket, payload);
+    this.#deliver(subscription, { ...event, queryId, token });
+  }
+
+  /**
+   * Shapes a resolved change for the client: documents are projected and
+   * redacted, and updates become JSON Patches for `delta` subscriptions.
+   * Returns `null` when a delta update changed nothing visible.
+   */
+  #presentChange(query, payload) {
+    if (query.delta && payload.type === "realtime:update") {
+      const patch = diffDocuments(
+        this.#presentDocument(query, payload.before),
+        this.#presentDocument(query, payload.document),
+      );
+      if (patch.length === 0) {
+        return null;
+      }
+
+      return {
+        type: payload.type,
+        collection: payload.collection,
+        documentId: payload.document._id,
+        patch,
+      };
+    }
+
+    return {
+      ...payload,
+      ...(payload.document !== undefined
+        ? { document: this.#presentDocument(query, payload.document) }
+        : {}),
+      ...(payload.before !== undefined
+        ? { before: this.#presentDocument(query, payload.before) }
+        : {}),
+    };
   }
 
-  #queueSubscriptionChange(queryId, change) {
+  /**
+   * Collects a change into the subscription's pending batch, flushed once
+   * `batchWindowMs` after the first change of the window. Subscriptions that
+   * resync run a single re-query per window instead.
+   */
+  #batchChange(subscription, change, token) {
+    if (!subscription.batch) {
+      subscription.batch = {
+        events: [],
+        token,
+        timer: setTimeout(
+          () => this.#flushBatch(subscription),
+          subscription.batchWindowMs,
+        ),
+      };
+      subscription.batch.timer.unref?.();
+    }
+    subscription.batch.token = token;
+
+    if (requiresSubscriptionResync(subscription.query)) {
+      return;
+    }
+
+    const payload = this.#buildChangePayload(subscription, change);
+    if (payload) {
+      coalesceEvent(subscription.batch.events, payload);
+    }
+  }
+
+  #flushBatch(subscription) {
+    const { query } = subscription;
+    const { events, token } = subscription.batch;
+    subscription.batch = null;
+    if (this.#subscriptions.get(query.queryId) !== subscription) {
+      return;
+    }
+
+    if (requiresSubscriptionResync(query)) {
+      this.#queueSubscriptionTask(query.queryId, () =>
+        this.#resyncSubscription(query.queryId, token),
+      );
+      return;
+    }
+
+    const presented = events
+      .map((payload) => this.#presentChange(query, payload))
+      .filter(Boolean);
+    if (presented.length === 0) {
+      return;
+    }
+
+    this.#deliver(subscription, {
+      type: "realtime:batch",
+      collection: query.collection,
+      queryId: query.queryId,
+      events: presented,
+      token,
+    });
+  }
+
+  #queueSubscriptionChange(queryId, change, token) {
+    this.#queueSubscriptionTask(queryId, () =>
+      this.#forwardChange(queryId, change, token),
+    );
+  }
+
+  #queueSubscriptionTask(queryId, task) {
     const subscription = this.#subscriptions.get(queryId);
     if (!subscription) {
       return;
@@ -532,7 +2166,7 @@ class MongoRealTimeServer {
 
     const run = Promise.resolve(subscription.pending)
       .catch(() => {})
-      .then(() => this.#forwardChange(queryId, change));
+      .then(task);
 
     subscription.pending = run;
     run.catch((error) => {
@@ -540,13 +2174,13 @@ class MongoRealTimeServer {
     });
   }
 
-  async #resyncSubscription(queryId) {
+  async #resyncSubscription(queryId, token = this.#nextToken()) {
     const subscription = this.#subscriptions.get(queryId);
     if (!subscription) {
       return;
     }
 
-    const documents = await this.#findDocuments(
+    const documents = await this.#loadDocuments(
       subscription.collection,
       subscription.query,
       {
@@ -554,17 +2188,24 @@ class MongoRealTimeServer {
       },
     );
 
-    if (sameDocuments(subscription.documents, documents)) {
+    const unchanged = isTallyQuery(subscription.query)
+      ? isDeepStrictEqual(
+        tallyDocuments(subscription.query, subscription.documents),
+        tallyDocuments(subscription.query, documents),
+      )
+      : sameDocuments(subscription.documents, documents);
+    if (unchanged) {
       subscription.documents = cloneDocuments(documents);
       return;
     }
 
     subscription.documents = cloneDocuments(documents);
-    this.#send(subscription.socket, {
-      type: "realtime:initial",
+    this.#deliver(subscription, {
+      type: snapshotType(subscription.query),
       collection: subscription.query.collection,
       queryId: subscription.query.queryId,
-      documents,
+      ...this.#presentSnapshot(subscription.query, documents),
+      token,
     });
   }
 
@@ -578,7 +2219,13 @@ class MongoRealTimeServer {
         documentId:
           serializeId(change.documentKey?._id) ??
           serializeId(change.fullDocument?._id),
-        document: serializeDocument(change.fullDocument),
+        // Tallies match the whole document and only keep their member of it.
+        document: isTallyQuery(subscription.query)
+          ? (change.fullDocument ?? null)
+          : projectDocument(
+              change.fullDocument ?? null,
+              findProjection(subscription.query),
+            ),
       },
     });
 
@@ -621,182 +2268,880 @@ class MongoRealTimeServer {
       return;
     }
 
-    if (entry.timeoutId) {
-      clearTimeout(entry.timeoutId);
-    }
+    if (entry.timeoutId) {
+      clearTimeout(entry.timeoutId);
+    }
+
+    collectionCache.delete(cacheKey);
+  }
+
+  #clearQueryCacheForCollection(collectionName) {
+    const collectionCache = this.#queryCache.get(collectionName);
+    if (!collectionCache) {
+      return;
+    }
+
+    for (const [cacheKey] of collectionCache.entries()) {
+      this.#deleteQueryCacheEntry(collectionName, cacheKey);
+    }
+  }
+
+  #clearQueryCache() {
+    for (const collectionName of this.#queryCache.keys()) {
+      this.#clearQueryCacheForCollection(collectionName);
+    }
+  }
+
+  #getQueryCacheForCollection(collectionName) {
+    let collectionCache = this.#queryCache.get(collectionName);
+    if (!collectionCache) {
+      collectionCache = new Map();
+      this.#queryCache.set(collectionName, collectionCache);
+    }
+    return collectionCache;
+  }
+
+  async #handleCacheChange(collectionName, change) {
+    const collectionCache = this.#queryCache.get(collectionName);
+    if (!collectionCache || collectionCache.size === 0) {
+      return;
+    }
+
+    for (const [cacheKey, cached] of collectionCache.entries()) {
+      const query = cached.query;
+      if (this.#shouldRebuildCacheForQuery(query)) {
+        await this.#rebuildCachedQueryEntry(collectionName, cacheKey, query);
+        continue;
+      }
+
+      const existingIndex = cached.documents.findIndex(
+        (document) =>
+          serializeId(document._id) === serializeId(change.documentKey?._id),
+      );
+
+      switch (change.operationType) {
+        case "insert": {
+          const fullDocument = change.fullDocument ?? null;
+          if (
+            !fullDocument ||
+            !matchesFilter(fullDocument, query.filter, query.collation)
+          ) {
+            break;
+          }
+          cached.documents.push(
+            projectDocument(fullDocument, findProjection(query)),
+          );
+          break;
+        }
+        case "replace":
+        case "update": {
+          const fullDocument = change.fullDocument ?? null;
+          const matchesAfter = fullDocument
+            ? matchesFilter(fullDocument, query.filter, query.collation)
+            : false;
+          const document = projectDocument(fullDocument, findProjection(query));
+
+          if (existingIndex >= 0) {
+            if (matchesAfter) {
+              cached.documents[existingIndex] = document;
+            } else {
+              cached.documents.splice(existingIndex, 1);
+            }
+          } else if (matchesAfter) {
+            cached.documents.push(document);
+          }
+          break;
+        }
+        case "delete": {
+          if (existingIndex >= 0) {
+            cached.documents.splice(existingIndex, 1);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+
+  #shouldRebuildCacheForQuery(query) {
+    return (
+      Object.keys(query.sort).length > 0 || typeof query.limit === "number"
+    );
+  }
+
+  async #rebuildCachedQueryEntry(collectionName, cacheKey, query) {
+    const collection = this.collection(collectionName);
+    const documents = await this.#findDocuments(collection, query, {
+      useCache: false,
+    });
+    this.#setQueryCacheEntry(collectionName, cacheKey, query, documents);
+  }
+
+  #getQueryCacheKey(collection, query) {
+    return JSON.stringify({
+      collection,
+      kind: query.kind,
+      filter: query.filter ?? {},
+      sort: query.sort ?? {},
+      limit: query.limit,
+      projection: query.projection ?? {},
+      collation: query.collation,
+    });
+  }
+
+  async #loadDocuments(collection, query, options) {
+    if (query.kind === "aggregate") {
+      const documents = await collection
+        .aggregate(transformMongoIds(query.pipeline))
+        .toArray();
+      return documents;
+    }
+    return this.#findDocuments(collection, query, options);
+  }
+
+  async #findDocuments(collection, query, options = { useCache: true }) {
+    const cacheKey = this.#getQueryCacheKey(collection.collectionName, query);
+    const collectionCache = this.#getQueryCacheForCollection(
+      collection.collectionName,
+    );
+    const cached = options.useCache ? collectionCache.get(cacheKey) : undefined;
+    if (cached) {
+      if (cached.expiresAt == null || cached.expiresAt > Date.now()) {
+        return cached.documents.map((doc) => deepCopy(doc));
+      }
+      this.#deleteQueryCacheEntry(collection.collectionName, cacheKey);
+    }
+
+    let cursor = collection.find(prepareFilter(query.filter));
+    const projection = findProjection(query);
+    if (Object.keys(projection).length > 0) {
+      cursor = cursor.project(projection);
+    }
+    if (Object.keys(query.sort).length > 0) {
+      cursor = cursor.sort(query.sort);
+    }
+
+    if (typeof query.limit === "number") {
+      cursor = cursor.limit(query.limit);
+    }
+    if (query.collation) {
+      cursor = cursor.collation(query.collation);
+    }
+
+    const documents = await cursor.toArray();
+    this.#setQueryCacheEntry(
+      collection.collectionName,
+      cacheKey,
+      query,
+      documents,
+    );
+    return documents;
+  }
+
+  async #connectMongo() {
+    if (this.#db) {
+      return;
+    }
+
+    this.#mongoClient = new MongoClient(this.mongoUri);
+    await this.#mongoClient.connect();
+    this.#db = this.#mongoClient.db(this.dbName);
+  }
+
+  #send(socket, payload) {
+    const codec = this.#socketCodecs.get(socket) ?? createCodec();
+    if (this.#highWaterMark === 0) {
+      socket.send(codec.encode(payload));
+    } else {
+      socket.send(codec.encode(payload), (error) => {
+        if (
+          !error &&
+          socket.bufferedAmount === 0 &&
+          this.#pausedSockets.has(socket)
+        ) {
+          this.#resumeDelivery(socket);
+        }
+      });
+    }
+
+    if (
+      this.#maxBufferedAmount > 0 &&
+      socket.bufferedAmount > this.#maxBufferedAmount &&
+      socket.readyState === 1
+    ) {
+      this.logger.warn?.(
+        "MongoRealTime socket exceeded maxBufferedAmount; closing it.",
+      );
+      socket.close(SLOW_CONSUMER_CLOSE_CODE, "Slow consumer");
+      return;
+    }
+    if (
+      this.#highWaterMark > 0 &&
+      socket.bufferedAmount > this.#highWaterMark
+    ) {
+      this.#pausedSockets.add(socket);
+    }
+  }
+
+  /**
+   * Sends a live message that belongs to no subscription to an open socket.
+   * Nothing is sent while the socket is paused as a slow consumer.
+   */
+  #sendUntracked(socket, payload) {
+    if (socket.readyState === 1 && !this.#pausedSockets.has(socket)) {
+      this.#send(socket, payload);
+    }
+  }
+
+  /**
+   * Delivers a `message` published locally or by another instance to the
+   * sockets of this instance: the room members, or everybody without a room.
+   */
+  #deliverMessage({ room, event, payload }) {
+    const sockets =
+      room === undefined
+        ? this.#socketSubscriptions.keys()
+        : (this.#rooms.get(room) ?? []);
+
+    for (const socket of sockets) {
+      this.#sendMessage(socket, { event, room, payload });
+    }
+  }
+
+  #sendMessage(socket, { event, room, payload }) {
+    this.#sendUntracked(socket, {
+      type: "realtime:message",
+      event,
+      ...(room !== undefined ? { room } : {}),
+      payload: payload ?? null,
+    });
+  }
+
+  /**
+   * Identity a socket is present as: the `id`, `_id` or `sub` of the value
+   * returned by `authenticate`, or one identity per connection otherwise.
+   * Several sockets of the same identity count as a single member.
+   */
+  #presenceIdentity(socket) {
+    const user = this.#socketUsers.get(socket);
+    const id =
+      typeof user === "string" ? user : (user?.id ?? user?._id ?? user?.sub);
+    return id == null ? randomUUID() : String(id);
+  }
+
+  #joinPresence(socket, { key, target }, state) {
+    let entry = this.#socketPresence.get(socket);
+    if (!entry) {
+      entry = { id: this.#presenceIdentity(socket), topics: new Set() };
+      this.#socketPresence.set(socket, entry);
+    }
+
+    let topic = this.#presence.get(key);
+    if (!topic) {
+      topic = { target, members: new Map() };
+      this.#presence.set(key, topic);
+    }
+
+    entry.topics.add(key);
+    const states = topic.members.get(entry.id) ?? new Map();
+    topic.members.set(entry.id, states);
+    this.#changePresence(key, target, entry.id, socket, () => {
+      states.delete(socket);
+      states.set(socket, state);
+    });
+  }
+
+  #updatePresence(socket, { key, target }, state) {
+    const entry = this.#socketPresence.get(socket);
+    if (!entry?.topics.has(key)) {
+      throw new Error("Join the presence before updating it.");
+    }
+
+    const states = this.#presence.get(key).members.get(entry.id);
+    this.#changePresence(key, target, entry.id, socket, () => {
+      states.delete(socket);
+      states.set(socket, state);
+    });
+  }
+
+  #leavePresence(socket, key) {
+    const entry = this.#socketPresence.get(socket);
+    if (!entry?.topics.delete(key)) {
+      return;
+    }
+
+    const topic = this.#presence.get(key);
+    const states = topic.members.get(entry.id);
+    this.#changePresence(key, topic.target, entry.id, socket, () => {
+      states.delete(socket);
+      if (states.size === 0) {
+        topic.members.delete(entry.id);
+      }
+    });
+    if (topic.members.size === 0) {
+      this.#presence.delete(key);
+    }
+  }
+
+  /**
+   * Applies a local presence change, shares it with the other instances when
+   * this instance's view of the identity changed, and notifies the audience
+   * of the topic when the cluster-wide view changed.
+   */
+  #changePresence(key, target, id, socket, mutate) {
+    const localBefore = this.#localPresence(key, id);
+    const before = this.#presenceState(key, id);
+    mutate();
+    const localAfter = this.#localPresence(key, id);
+
+    if (!isDeepStrictEqual(localBefore, localAfter)) {
+      this.#publish({
+        type: "presence",
+        origin: this.#instanceId,
+        key,
+        target,
+        id,
+        present: localAfter !== undefined,
+        state: localAfter?.state ?? null,
+      });
+    }
+    this.#notifyPresence(key, target, id, before, socket);
+  }
+
+  #localPresence(key, id) {
+    const states = this.#presence.get(key)?.members.get(id);
+    if (!states?.size) {
+      return undefined;
+    }
+    return { state: Array.from(states.values()).at(-1) };
+  }
+
+  #presenceState(key, id) {
+    const local = this.#localPresence(key, id);
+    if (local) {
+      return local;
+    }
+
+    for (const { topics } of this.#remotePresence.values()) {
+      const members = topics.get(key)?.members;
+      if (members?.has(id)) {
+        return { state: members.get(id) };
+      }
+    }
+    return undefined;
+  }
+
+  #presenceMembers(key) {
+    const ids = new Set(this.#presence.get(key)?.members.keys());
+    for (const { topics } of this.#remotePresence.values()) {
+      for (const id of topics.get(key)?.members.keys() ?? []) {
+        ids.add(id);
+      }
+    }
+
+    return Array.from(ids, (id) => ({
+      id,
+      state: this.#presenceState(key, id).state,
+    }));
+  }
+
+  /**
+   * Sends the `join`, `update` or `leave` diff between `before` and the
+   * current state of an identity to the sockets taking part in the topic and,
+   * for rooms, to the room members.
+   */
+  #notifyPresence(key, target, id, before, except) {
+    const after = this.#presenceState(key, id);
+    let action;
+    if (!before && after) {
+      action = "join";
+    } else if (before && !after) {
+      action = "leave";
+    } else if (before && after && !isDeepStrictEqual(before, after)) {
+      action = "update";
+    } else {
+      return;
+    }
+
+    const audience = new Set(
+      target.room === undefined ? [] : this.#rooms.get(target.room),
+    );
+    for (const states of this.#presence.get(key)?.members.values() ?? []) {
+      for (const socket of states.keys()) {
+        audience.add(socket);
+      }
+    }
+    audience.delete(except);
+
+    const payload = {
+      type: "realtime:presence",
+      action,
+      ...target,
+      id,
+      ...(after ? { state: after.state } : {}),
+    };
+    for (const socket of audience) {
+      this.#sendPresence(socket, key, target, payload);
+    }
+  }
+
+  /**
+   * Sends a presence message, or remembers the topic of a paused socket so it
+   * receives a `sync` of the topic once it resumes.
+   */
+  #sendPresence(socket, key, target, payload) {
+    if (this.#pausedSockets.has(socket)) {
+      const skipped = this.#skippedPresence.get(socket) ?? new Map();
+      skipped.set(key, target);
+      this.#skippedPresence.set(socket, skipped);
+      return;
+    }
+    this.#sendUntracked(socket, payload);
+  }
+
+  #applyRemotePresence({ origin, key, target, id, present, state }) {
+    const topics = new Map(
+      Array.from(
+        this.#remotePresence.get(origin)?.topics ?? [],
+        ([topicKey, topic]) => [
+          topicKey,
+          { target: topic.target, members: new Map(topic.members) },
+        ],
+      ),
+    );
+
+    if (!topics.has(key)) {
+      topics.set(key, { target, members: new Map() });
+    }
+    const members = topics.get(key).members;
+    if (present) {
+      members.set(id, state);
+    } else {
+      members.delete(id);
+    }
+    if (members.size === 0) {
+      topics.delete(key);
+    }
+
+    this.#replaceRemotePresence(origin, topics);
+  }
+
+  /**
+   * Replaces everything known about the presence held by another instance,
+   * and notifies the identities whose cluster-wide state changed.
+   */
+  #replaceRemotePresence(origin, topics) {
+    const previous = this.#remotePresence.get(origin)?.topics ?? new Map();
+    const affected = new Map();
+    for (const [key, topic] of [...previous, ...topics]) {
+      for (const id of topic.members.keys()) {
+        affected.set(`${key}\u0000${id}`, {
+          key,
+          target: topic.target,
+          id,
+          before: this.#presenceState(key, id),
+        });
+      }
+    }
+
+    if (topics.size > 0) {
+      this.#remotePresence.set(origin, {
+        topics,
+        expiresAt: Date.now() + PRESENCE_SYNC_MS * 3,
+      });
+    } else {
+      this.#remotePresence.delete(origin);
+    }
+
+    for (const { key, target, id, before } of affected.values()) {
+      this.#notifyPresence(key, target, id, before);
+    }
+  }
+
+  /**
+   * Periodically shares the whole presence of this instance, so instances
+   * that started later catch up, and forgets instances that stopped sharing
+   * theirs without saying goodbye.
+   */
+  #syncPresence() {
+    if (this.#presence.size > 0) {
+      this.#publish({
+        type: "presence:sync",
+        origin: this.#instanceId,
+        topics: Array.from(this.#presence, ([key, topic]) => ({
+          key,
+          target: topic.target,
+          members: Array.from(topic.members.keys(), (id) => [
+            id,
+            this.#localPresence(key, id).state,
+          ]),
+        })),
+      });
+    }
+
+    const now = Date.now();
+    for (const [origin, { expiresAt }] of this.#remotePresence) {
+      if (expiresAt <= now) {
+        this.#replaceRemotePresence(origin, new Map());
+      }
+    }
+  }
+
+  /**
+   * Sends `error` as a `realtime:error` message; `fields` may replace its
+   * `type` or add to it.
+   */
+  #sendError(socket, error, queryId, requestId, fields = {}) {
+    this.#send(socket, {
+      type: "realtime:error",
+      ...fields,
+      error: error instanceof Error ? error.message : String(error),
+      ...(error instanceof RealtimeError ? { code: error.code } : {}),
+      ...(error instanceof RealtimeError && error.details
+        ? { details: error.details }
+        : {}),
+      ...(queryId ? { queryId } : {}),
+      ...(requestId ? { requestId } : {}),
+    });
+  }
+}
+
+function normalizeQuery(message, scope = null) {
+  const filter = prepareFilter(
+    scopeFilter(optionalObject(message.filter), scope),
+  );
+
+  return {
+    collection: requiredString(message.collection, "collection"),
+    filter,
+    sort: optionalObject(message.sort),
+    limit: Number.isInteger(message.limit) ? message.limit : undefined,
+    projection: normalizeProjection(message.projection),
+    collation: normalizeCollation(message.collation),
+    delta: message.delta === true,
+    queryId: String(message.queryId ?? randomUUID()),
+  };
+}
+
+const AUTHORIZED_OPERATIONS = new Set([
+  "subscribe",
+  "fetch",
+  "insert",
+  "update",
+  "delete",
+  "emit",
+  "aggregate",
+  "count",
+  "distinct",
+  "join",
+  "leave",
+  "presence:join",
+]);
+
+const SERVER_EVENT_PATTERN = /^(db|stream):/;
+
+function isServerEvent(eventName) {
+  return SERVER_EVENT_PATTERN.test(eventName);
+}
+
+const HOOK_NAME_PATTERN = /^(before|after)(Insert|Update|Delete)(:.+)?$/;
+
+function toHookName(phase, operation) {
+  return `${phase}${operation[0].toUpperCase()}${operation.slice(1)}`;
+}
+
+const ACKNOWLEDGED_WRITES = new Set([
+  "realtime:insert",
+  "realtime:update",
+  "realtime:delete",
+]);
+
+function isAcknowledgedWrite(message) {
+  return (
+    ACKNOWLEDGED_WRITES.has(message.type) &&
+    optionalString(message.requestId) !== undefined
+  );
+}
+
+const TRANSACTION_OPERATION_TYPES = new Set(["insert", "update", "delete"]);
 
-    collectionCache.delete(cacheKey);
+function normalizeTransactionOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new TypeError('Expected "operations" to be a non-empty array.');
   }
 
-  #clearQueryCacheForCollection(collectionName) {
-    const collectionCache = this.#queryCache.get(collectionName);
-    if (!collectionCache) {
-      return;
+  return operations.map((operation, index) => {
+    if (!isPlainObject(operation)) {
+      throw new TypeError(`Expected operation ${index} to be a plain object.`);
     }
 
-    for (const [cacheKey] of collectionCache.entries()) {
-      this.#deleteQueryCacheEntry(collectionName, cacheKey);
+    const type = String(operation.type ?? "").replace(/^realtime:/, "");
+    if (!TRANSACTION_OPERATION_TYPES.has(type)) {
+      throw new TypeError(
+        `Expected operation ${index} to be an insert, update or delete.`,
+      );
     }
-  }
 
-  #clearQueryCache() {
-    for (const collectionName of this.#queryCache.keys()) {
-      this.#clearQueryCacheForCollection(collectionName);
-    }
+    return {
+      ...deepCopy(operation),
+      type: `realtime:${type}`,
+    };
+  });
+}
+
+function describeOperation(message) {
+  const type =
+    typeof message.type === "string"
+      ? message.type.replace(/^realtime:/, "")
+      : "";
+  if (!AUTHORIZED_OPERATIONS.has(type)) {
+    return null;
   }
 
-  #getQueryCacheForCollection(collectionName) {
-    let collectionCache = this.#queryCache.get(collectionName);
-    if (!collectionCache) {
-      collectionCache = new Map();
-      this.#queryCache.set(collectionName, collectionCache);
-    }
-    return collectionCache;
+  if (type === "emit") {
+    return {
+      type,
+      event: requiredString(message.event, "event"),
+      payload: deepCopy(message.payload),
+    };
+  }
+  if (type === "join" || type === "leave") {
+    return { type, room: requiredString(message.room, "room") };
+  }
+  if (type === "presence:join") {
+    return {
+      type,
+      ...presenceTopic(message).target,
+      state: deepCopy(message.state ?? null),
+    };
   }
 
-  async #handleCacheChange(collectionName, change) {
-    const collectionCache = this.#queryCache.get(collectionName);
-    if (!collectionCache || collectionCache.size === 0) {
-      return;
-    }
+  const operation = {
+    type,
+    collection: requiredString(message.collection, "collection"),
+    filter: optionalObject(message.filter),
+  };
 
-    for (const [cacheKey, cached] of collectionCache.entries()) {
-      const query = cached.query;
-      if (this.#shouldRebuildCacheForQuery(query)) {
-        await this.#rebuildCachedQueryEntry(collectionName, cacheKey, query);
-        continue;
-      }
+  if (type === "insert") {
+    delete operation.filter;
+    operation.document = optionalObject(message.document);
+  }
+  if (type === "update") {
+    operation.update = optionalObject(message.update);
+  }
+  if (type === "subscribe" || type === "fetch") {
+    operation.projection = optionalObject(message.projection);
+  }
+  if (type === "distinct") {
+    operation.field = optionalString(message.field);
+  }
+  if (type === "aggregate") {
+    delete operation.filter;
+    operation.pipeline = Array.isArray(message.pipeline)
+      ? deepCopy(message.pipeline)
+      : [];
+  }
 
-      const existingIndex = cached.documents.findIndex(
-        (document) => document._id === serializeId(change.documentKey?._id),
-      );
+  return operation;
+}
 
-      switch (change.operationType) {
-        case "insert": {
-          const document = serializeDocument(change.fullDocument);
-          if (!document || !matchesFilter(document, query.filter)) {
-            break;
-          }
-          cached.documents.push(document);
-          break;
-        }
-        case "replace":
-        case "update": {
-          const document = serializeDocument(change.fullDocument);
-          const matchesAfter = document
-            ? matchesFilter(document, query.filter)
-            : false;
+/**
+ * Widens a client projection with `_id` and the fields the server needs to
+ * keep matching and sorting the query in memory.
+ */
+function findProjection(query) {
+  const projection = query.projection ?? {};
+  // Tallies match live changes against the whole document, so they only load
+  // the fields membership needs.
+  if (Object.keys(projection).length === 0 || isTallyQuery(query)) {
+    return projection;
+  }
 
-          if (existingIndex >= 0) {
-            if (matchesAfter) {
-              cached.documents[existingIndex] = document;
-            } else {
-              cached.documents.splice(existingIndex, 1);
-            }
-          } else if (matchesAfter) {
-            cached.documents.push(document);
-          }
-          break;
-        }
-        case "delete": {
-          if (existingIndex >= 0) {
-            cached.documents.splice(existingIndex, 1);
-          }
-          break;
-        }
-        default:
-          break;
+  const requiredPaths = [
+    ...collectFilterPaths(query.filter),
+    ...Object.keys(query.sort ?? {}),
+  ];
+  // `$$ROOT` is collected as the empty path and needs the whole document.
+  if (requiredPaths.includes("")) {
+    return {};
+  }
+
+  if (isInclusionProjection(projection)) {
+    const widened = { ...projection };
+    for (const path of requiredPaths) {
+      if (!Object.keys(widened).some((field) => overlapsPath(field, path))) {
+        widened[path] = 1;
       }
     }
+    if (widened._id === 0) {
+      delete widened._id;
+    }
+    return widened;
   }
 
-  #shouldRebuildCacheForQuery(query) {
-    return (
-      Object.keys(query.sort).length > 0 || typeof query.limit === "number"
-    );
+  const widened = {};
+  for (const [path, value] of Object.entries(projection)) {
+    if (path === "_id" && value === 0) {
+      continue;
+    }
+    if (!requiredPaths.some((required) => overlapsPath(required, path))) {
+      widened[path] = value;
+    }
   }
+  return widened;
+}
 
-  async #rebuildCachedQueryEntry(collectionName, cacheKey, query) {
-    const collection = this.collection(collectionName);
-    const documents = await this.#findDocuments(collection, query, {
-      useCache: false,
-    });
-    this.#setQueryCacheEntry(collectionName, cacheKey, query, documents);
+const UNRESUMABLE_STREAM_ERROR_CODES = new Set([
+  260, // InvalidResumeToken
+  280, // ChangeStreamFatalError
+  286, // ChangeStreamHistoryLost
+]);
+
+function isUnresumableStreamError(error) {
+  return UNRESUMABLE_STREAM_ERROR_CODES.has(error?.code);
+}
+
+async function closeStreamEntry(entry) {
+  entry.closed = true;
+  if (entry.retryTimer) {
+    clearTimeout(entry.retryTimer);
+    entry.retryTimer = null;
   }
+  await entry.changeStream?.close();
+}
 
-  #getQueryCacheKey(collection, query) {
-    return JSON.stringify({
-      collection,
-      filter: query.filter ?? {},
-      sort: query.sort ?? {},
-      limit: query.limit,
-    });
+function sameQuery(left, right) {
+  return (
+    left.kind === right.kind &&
+    left.collection === right.collection &&
+    left.field === right.field &&
+    left.delta === right.delta &&
+    isDeepStrictEqual(left.pipeline, right.pipeline) &&
+    isDeepStrictEqual(left.filter, right.filter) &&
+    isDeepStrictEqual(left.sort, right.sort) &&
+    left.limit === right.limit &&
+    isDeepStrictEqual(left.projection, right.projection) &&
+    isDeepStrictEqual(left.collation, right.collation)
+  );
+}
+
+function snapshotType(query) {
+  return query.kind ? `realtime:${query.kind}` : "realtime:initial";
+}
+
+function queryCollections(query) {
+  return [query.collection, ...(query.joins ?? [])].filter(
+    (collectionName, index, all) => all.indexOf(collectionName) === index,
+  );
+}
+
+const FORBIDDEN_PIPELINE_STAGES = new Set(["$out", "$merge"]);
+
+function normalizePipeline(pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new TypeError('Expected "pipeline" to be an array.');
   }
 
-  async #findDocuments(collection, query, options = { useCache: true }) {
-    const cacheKey = this.#getQueryCacheKey(collection.collectionName, query);
-    const collectionCache = this.#getQueryCacheForCollection(
-      collection.collectionName,
-    );
-    const cached = options.useCache ? collectionCache.get(cacheKey) : undefined;
-    if (cached) {
-      if (cached.expiresAt == null || cached.expiresAt > Date.now()) {
-        return cached.documents.map((doc) => deepCopy(doc));
-      }
-      this.#deleteQueryCacheEntry(collection.collectionName, cacheKey);
+  return pipeline.map((stage, index) => {
+    const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1 || !keys[0].startsWith("$")) {
+      throw new TypeError(
+        `Expected pipeline stage ${index} to be an object with a single stage operator.`,
+      );
+    }
+    if (FORBIDDEN_PIPELINE_STAGES.has(keys[0])) {
+      throw new AuthorizationError(
+        `Pipeline stage "${keys[0]}" is not allowed.`,
+        { stage: keys[0] },
+      );
     }
+    return deepCopy(stage);
+  });
+}
 
-    let cursor = collection.find(prepareFilter(query.filter));
-    if (Object.keys(query.sort).length > 0) {
-      cursor = cursor.sort(query.sort);
+/**
+ * Lists the other collections a pipeline reads through `$lookup`,
+ * `$graphLookup` and `$unionWith`, including nested pipelines.
+ */
+function collectPipelineCollections(value, found = []) {
+  if (Array.isArray(value)) {
+    for (const entry of value) {
+      collectPipelineCollections(entry, found);
     }
+    return found;
+  }
+  if (!isPlainObject(value)) {
+    return found;
+  }
 
-    if (typeof query.limit === "number") {
-      cursor = cursor.limit(query.limit);
+  for (const [key, entry] of Object.entries(value)) {
+    if ((key === "$lookup" || key === "$graphLookup") && isPlainObject(entry)) {
+      if (typeof entry.from === "string") {
+        found.push(entry.from);
+      }
+    } else if (key === "$unionWith") {
+      const from = typeof entry === "string" ? entry : entry?.coll;
+      if (typeof from === "string") {
+        found.push(from);
+      }
     }
+    collectPipelineCollections(entry, found);
+  }
+  return found;
+}
 
-    const documents = await cursor.toArray();
-    const serialized = documents.map(serializeDocument);
-    this.#setQueryCacheEntry(
-      collection.collectionName,
-      cacheKey,
-      query,
-      serialized,
+function pipelineMentionsPath(value, path) {
+  if (Array.isArray(value)) {
+    return value.some((entry) => pipelineMentionsPath(entry, path));
+  }
+  if (typeof value === "string") {
+    const root = /^\$\$(ROOT|CURRENT)(?:\.(.*))?$/.exec(value);
+    if (root) {
+      return root[2] === undefined || overlapsPath(root[2], path);
+    }
+    return (
+      value.startsWith("$") &&
+      !value.startsWith("$$") &&
+      overlapsPath(value.slice(1), path)
     );
-    return serialized;
+  }
+  if (!isPlainObject(value)) {
+    return false;
   }
 
-  async #connectMongo() {
-    if (this.#db) {
-      return;
+  return Object.entries(value).some(([key, entry]) => {
+    if (key === "$getField") {
+      return getFieldMentionsPath(entry, path);
     }
+    return (
+      (!key.startsWith("$") && overlapsPath(key, path)) ||
+      pipelineMentionsPath(entry, path)
+    );
+  });
+}
 
-    this.#mongoClient = new MongoClient(this.mongoUri);
-    await this.#mongoClient.connect();
-    this.#db = this.#mongoClient.db(this.dbName);
+/**
+ * Tells whether `{ $getField: operand }` may read `path`. The shorthand form
+ * `{ $getField: "name" }` reads a field of `$$CURRENT`; a name that is not a
+ * constant string could be any field.
+ */
+function getFieldMentionsPath(operand, path) {
+  const { field, input = "$$CURRENT" } = isPlainObject(operand)
+    ? operand
+    : { field: operand };
+  const name = isPlainObject(field) ? field.$literal : field;
+  if (typeof name !== "string" || name.startsWith("$")) {
+    return true;
   }
 
-  #send(socket, payload) {
-    socket.send(JSON.stringify(payload));
+  if (input === "$$ROOT" || input === "$$CURRENT") {
+    return overlapsPath(name, path);
   }
-
-  #sendError(socket, error, queryId) {
-    this.#send(socket, {
-      type: "realtime:error",
-      error: error instanceof Error ? error.message : String(error),
-      ...(queryId ? { queryId } : {}),
-    });
+  if (typeof input === "string" && /^\$[^$]/.test(input)) {
+    return overlapsPath(`${input.slice(1)}.${name}`, path);
   }
-}
-
-function normalizeQuery(message) {
-  return {
-    collection: requiredString(message.collection, "collection"),
-    filter: optionalObject(message.filter),
-    sort: optionalObject(message.sort),
-    limit: Number.isInteger(message.limit) ? message.limit : undefined,
-    queryId: String(message.queryId ?? randomUUID()),
-  };
+  return overlapsPath(name, path) || pipelineMentionsPath(input, path);
 }
 
 function parseAuthHeader(headerValue) {
@@ -838,6 +3183,21 @@ function parseTokenFromUrl(url) {
   }
 }
 
+const EJSON_MODES = new Set(["relaxed", "canonical"]);
+const SLOW_CONSUMER_CLOSE_CODE = 4008;
+const DB_HANDLERS_LEASE = "db-handlers";
+const LEADER_LEASE_MS = 15 * 1000;
+const PRESENCE_SYNC_MS = 5 * 1000;
+
+function parseEjsonModeFromUrl(url) {
+  if (!url) {
+    return undefined;
+  }
+
+  const [, rawQuery = ""] = String(url).split("?");
+  return new URLSearchParams(rawQuery).get("ejson") ?? undefined;
+}
+
 function requiredString(value, field) {
   if (typeof value !== "string" || value.trim() === "") {
     throw new TypeError(`Expected "${field}" to be a non-empty string.`);
@@ -852,18 +3212,52 @@ function requiredObject(value, field) {
   return deepCopy(value);
 }
 
+function optionalString(value) {
+  return typeof value === "string" && value !== "" ? value : undefined;
+}
+
+/**
+ * Resolves the presence topic a message targets: a `room`, or a document
+ * given by `collection` and `documentId`.
+ */
+function presenceTopic(message) {
+  if (message.room !== undefined) {
+    const room = requiredString(message.room, "room");
+    return { key: `room:${room}`, target: { room } };
+  }
+
+  const collection = requiredString(message.collection, "collection");
+  const documentId = requiredString(message.documentId, "documentId");
+  return {
+    key: `document:${collection}:${documentId}`,
+    target: { collection, documentId },
+  };
+}
+
+function readPresenceTopics(topics = []) {
+  return new Map(
+    topics.map(({ key, target, members }) => [
+      key,
+      { target, members: new Map(members) },
+    ]),
+  );
+}
+
+function optionalDuration(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0
+    ? value
+    : undefined;
+}
+
 function optionalObject(value) {
   return isPlainObject(value) ? deepCopy(value) : {};
 }
 
-function parsePayload(buffer) {
-  const text = Buffer.isBuffer(buffer)
-    ? buffer.toString("utf8")
-    : String(buffer);
+function parsePayload(buffer, codec = createCodec()) {
   let payload;
 
   try {
-    payload = JSON.parse(text);
+    payload = codec.decode(buffer);
   } catch (_) {}
 
   if (!isPlainObject(payload)) {
@@ -873,6 +3267,16 @@ function parsePayload(buffer) {
   return payload;
 }
 
+function normalizeCollation(collation) {
+  if (collation === undefined || collation === null) {
+    return undefined;
+  }
+  if (!isPlainObject(collation) || typeof collation.locale !== "string") {
+    throw new TypeError('Expected "collation" to be an object with a "locale".');
+  }
+  return deepCopy(collation);
+}
+
 function normalizeMongoUpdate(update) {
   if (isMongoOperatorUpdate(update)) {
     return update;
@@ -883,6 +3287,34 @@ function normalizeMongoUpdate(update) {
   };
 }
 
+/**
+ * Stored documents always carry the `_id` MongoDB generated for them, so it is
+ * left out of validation unless the schema declares it.
+ */
+function withoutUndeclaredId(document, schema) {
+  if (!isPlainObject(document) || schema?.properties?._id !== undefined) {
+    return document;
+  }
+
+  const { _id, ...fields } = document;
+  return fields;
+}
+
+function normalizeValidationErrors(result) {
+  if (result == null || result === true) {
+    return [];
+  }
+  if (result === false) {
+    return [{ path: "", message: "is invalid" }];
+  }
+
+  return [].concat(result).map((entry) =>
+    typeof entry === "string"
+      ? { path: "", message: entry }
+      : { path: String(entry?.path ?? ""), message: String(entry?.message) },
+  );
+}
+
 function ensureUpdateDoesNotChangeId(update) {
   if (!isPlainObject(update)) {
     return;
@@ -900,6 +3332,85 @@ function ensureUpdateDoesNotChangeId(update) {
   }
 }
 
+function scopeFilter(filter, scope) {
+  if (!scope) {
+    return filter;
+  }
+  if (Object.keys(filter).length === 0) {
+    return deepCopy(scope);
+  }
+  return { $and: [filter, deepCopy(scope)] };
+}
+
+function scopeEqualities(scope) {
+  return Object.entries(scope).filter(
+    ([path, value]) =>
+      !path.startsWith("$") &&
+      !(
+        isPlainObject(value) &&
+        Object.keys(value).some((key) => key.startsWith("$"))
+      ),
+  );
+}
+
+function stampScope(document, scope, collectionName) {
+  for (const [path, value] of scopeEqualities(scope)) {
+    writePath(document, path, deepCopy(value));
+  }
+
+  if (!matchesFilter(document, scope)) {
+    throw new AuthorizationError(
+      `Document is outside of the allowed scope of "${collectionName}".`,
+      { operation: "insert", collection: collectionName },
+    );
+  }
+}
+
+function ensureUpdateKeepsScope(update, scope, collectionName) {
+  const scopedPaths = collectFilterPaths(scope);
+  const equalities = new Map(scopeEqualities(scope));
+
+  for (const [operator, payload] of Object.entries(update)) {
+    if (!isPlainObject(payload)) {
+      continue;
+    }
+
+    for (const [path, value] of Object.entries(payload)) {
+      // `$rename` also writes its destination, so both ends must stay clear.
+      const renamedTo =
+        operator === "$rename" && typeof value === "string" ? value : null;
+      if (
+        renamedTo !== null &&
+        scopedPaths.some((scopedPath) => overlapsPath(scopedPath, renamedTo))
+      ) {
+        throw new AuthorizationError(
+          `Updating "${renamedTo}" would move documents outside of the allowed scope of "${collectionName}".`,
+          { operation: "update", collection: collectionName },
+        );
+      }
+
+      const touched = scopedPaths.find((scopedPath) =>
+        overlapsPath(scopedPath, path),
+      );
+      if (!touched) {
+        continue;
+      }
+
+      const keepsValue =
+        operator === "$set" &&
+        path === touched &&
+        equalities.has(path) &&
+        isDeepStrictEqual(equalities.get(path), value);
+      if (!keepsValue) {
+        throw new AuthorizationError(
+          `Updating "${path}" would move documents outside of the allowed scope of "${collectionName}".`,
+          { operation: "update", collection: collectionName },
+        );
+      }
+    }
+  }
+}
+
 function prepareFilter(filter) {
   return transformMongoIds(filter);
 }
@@ -2,7 +2,14 @@
 
 const { isDeepStrictEqual } = require('node:util');
 
-const { deepCopy, matchesFilter, sortDocuments } = require('./query');
+const {
+  compareValues,
+  deepCopy,
+  matchesFilter,
+  projectDocument,
+  readPath,
+  sortDocuments,
+} = require('./query');
 
 function cloneDocuments(documents = []) {
   return documents.map((document) => deepCopy(document));
@@ -13,7 +20,48 @@ function sameDocuments(left = [], right = []) {
 }
 
 function requiresSubscriptionResync(query) {
-  return typeof query?.limit === 'number';
+  return query?.kind === 'aggregate' || typeof query?.limit === 'number';
+}
+
+function isTallyQuery(query) {
+  return query?.kind === 'count' || query?.kind === 'distinct';
+}
+
+/**
+ * Computes the value a `count` or `distinct` subscription reports for the
+ * documents it currently tracks.
+ */
+function tallyDocuments(query, documents = []) {
+  if (query.kind === 'count') {
+    return { count: documents.length };
+  }
+
+  const values = [];
+  for (const document of documents) {
+    const value = readPath(document, query.field);
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== undefined &&
+          !values.some((known) =>
+            compareValues(known, item, query.collation) === 0)) {
+        values.push(item);
+      }
+    }
+  }
+  return {
+    field: query.field,
+    values: values.sort((left, right) =>
+      compareValues(left, right, query.collation)),
+  };
+}
+
+/**
+ * Keeps only what a tally needs to know about a matching document: its `_id`,
+ * plus the counted field for `distinct`.
+ */
+function tallyMember(query, document) {
+  return query.kind === 'distinct'
+    ? projectDocument(document, { _id: 1, [query.field]: 1 })
+    : { _id: deepCopy(document._id) };
 }
 
 function resolveSubscriptionChange({
@@ -26,6 +74,17 @@ function resolveSubscriptionChange({
     typeof change?.documentId === 'string' && change.documentId.length > 0
       ? change.documentId
       : null;
+
+  if (isTallyQuery(query)) {
+    return resolveTally({
+      collection,
+      query,
+      previousDocuments,
+      documentId,
+      document: change?.operationType === 'delete' ? null : change?.document,
+    });
+  }
+
   const previousDocument = documentId
     ? findDocumentById(previousDocuments, documentId)
     : null;
@@ -71,7 +130,8 @@ function resolveInsert({
   documentId,
   document,
 }) {
-  if (!documentId || !document || !matchesFilter(document, query.filter)) {
+  if (!documentId || !document ||
+      !matchesFilter(document, query.filter, query.collation)) {
     return {
       documents: cloneDocuments(previousDocuments),
       payload: null,
@@ -113,7 +173,7 @@ function resolveUpdate({
   }
 
   const nextSeed = removeDocumentById(previousDocuments, documentId);
-  if (document && matchesFilter(document, query.filter)) {
+  if (document && matchesFilter(document, query.filter, query.collation)) {
     nextSeed.push(document);
   }
 
@@ -135,7 +195,7 @@ function resolveUpdate({
     };
   }
 
-  if (!document) {
+  if (!isInNextResult) {
     return {
       documents,
       payload: {
@@ -181,36 +241,127 @@ function resolveDelete({
   };
 }
 
+function resolveTally({
+  collection,
+  query,
+  previousDocuments,
+  documentId,
+  document,
+}) {
+  if (!documentId) {
+    return {
+      documents: cloneDocuments(previousDocuments),
+      payload: null,
+    };
+  }
+
+  const documents = removeDocumentById(previousDocuments, documentId);
+  if (document && matchesFilter(document, query.filter, query.collation)) {
+    documents.push(tallyMember(query, document));
+  }
+
+  const previous = tallyDocuments(query, previousDocuments);
+  const next = tallyDocuments(query, documents);
+  if (isDeepStrictEqual(previous, next)) {
+    return { documents, payload: null };
+  }
+
+  return {
+    documents,
+    payload: {
+      type: `realtime:${query.kind}`,
+      collection,
+      ...next,
+    },
+  };
+}
+
+/**
+ * Adds a live event to the events waiting in a batch. Events about a document
+ * already queued are folded into the queued one so the batch carries only the
+ * latest state: an insert followed by updates stays an insert, successive
+ * updates keep the first `before`, and an insert followed by a delete cancels
+ * out. Tally events replace the queued value.
+ */
+function coalesceEvent(events, event) {
+  const key = eventKey(event);
+  const index = events.findLastIndex((queued) => eventKey(queued) === key);
+  const queued = events[index];
+
+  if (!queued || (queued.type === 'realtime:delete' && event.document)) {
+    events.push(event);
+    return events;
+  }
+
+  if (event.type === 'realtime:delete') {
+    if (queued.type === 'realtime:insert') {
+      events.splice(index, 1);
+    } else {
+      events[index] = event;
+    }
+    return events;
+  }
+
+  if (queued.type === 'realtime:insert') {
+    const { before: _before, ...latest } = event;
+    events[index] = { ...latest, type: 'realtime:insert' };
+  } else if (queued.type === 'realtime:update' &&
+      event.type === 'realtime:update') {
+    events[index] = { ...event, before: queued.before };
+  } else {
+    events[index] = event;
+  }
+  return events;
+}
+
+function eventKey(event) {
+  if (event.type === 'realtime:delete') {
+    return `document:${event.documentId}`;
+  }
+  return event.document === undefined
+    ? `tally:${event.type}`
+    : `document:${documentKey(event.document)}`;
+}
+
 function normalizeDocuments(query, documents) {
   return sortDocuments(
     documents.filter(
-      (document) => document && matchesFilter(document, query.filter),
+      (document) =>
+        document && matchesFilter(document, query.filter, query.collation),
     ),
     query.sort,
     query.limit,
+    query.collation,
   );
 }
 
 function removeDocumentById(documents, documentId) {
   return documents
-    .filter((document) => document?._id !== documentId)
+    .filter((document) => documentKey(document) !== documentId)
     .map((document) => deepCopy(document));
 }
 
 function findDocumentById(documents, documentId) {
   const document = documents.find(
-    (candidate) => candidate?._id === documentId,
+    (candidate) => documentKey(candidate) === documentId,
   );
   return document ? deepCopy(document) : null;
 }
 
 function includesDocumentId(documents, documentId) {
-  return documents.some((document) => document?._id === documentId);
+  return documents.some((document) => documentKey(document) === documentId);
+}
+
+function documentKey(document) {
+  return document?._id == null ? null : String(document._id);
 }
 
 module.exports = {
   cloneDocuments,
+  coalesceEvent,
+  isTallyQuery,
   requiresSubscriptionResync,
   resolveSubscriptionChange,
   sameDocuments,
+  tallyDocuments,
 };
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { Timestamp } = require('mongodb');
+
+const { MongoCappedAdapter } = require('../src/adapter');
+const { wait } = require('./support/server');
+
+const ts = (t) => new Timestamp({ t, i: 1 });
+
+/**
+ * Capped collection whose successive tailable cursors return `batches`; an
+ * `Error` in a batch kills the cursor, and the last cursor waits for more.
+ */
+function createCappedCollection(batches) {
+  const filters = [];
+  const collection = {
+    insertOne: async () => ({ insertedId: 'start' }),
+    findOne: async () => ({ _id: 'start', ts: ts(1) }),
+    find(filter) {
+      filters.push(filter);
+      const batch = batches.shift() ?? [];
+      let release;
+      const closed = new Promise((resolve) => {
+        release = resolve;
+      });
+      return {
+        async *[Symbol.asyncIterator]() {
+          for (const item of batch) {
+            if (item instanceof Error) {
+              throw item;
+            }
+            yield item;
+          }
+          if (batches.length === 0) {
+            await closed;
+          }
+        },
+        close: async () => release(),
+      };
+    },
+  };
+  const db = {
+    databaseName: 'test',
+    createCollection: async () => {},
+    collection: () => collection,
+  };
+  return { db, filters };
+}
+
+describe('MongoCappedAdapter', () => {
+  it('reopens its cursor after the server timestamp of the last message', async () => {
+    const { db, filters } = createCappedCollection([
+      [
+        { ts: ts(2), origin: 'other', message: { n: 1 } },
+        { ts: ts(2), origin: 'other', message: { n: 2 } },
+        { ts: ts(3), origin: 'self', message: { n: 3 } },
+        new Error('cursor killed'),
+      ],
+      [{ ts: ts(4), origin: 'other', message: { n: 4 } }],
+    ]);
+    const received = [];
+    const warnings = [];
+
+    const connection = await new MongoCappedAdapter().attach({
+      instanceId: 'self',
+      db,
+      logger: { warn: (message) => warnings.push(message) },
+      onMessage: (message) => received.push(message),
+    });
+    for (let attempt = 0; attempt < 20 && received.length < 3; attempt++) {
+      await wait(50);
+    }
+    await connection.close();
+
+    assert.deepEqual(received, [{ n: 1 }, { n: 2 }, { n: 4 }]);
+    assert.deepEqual(filters, [{ ts: { $gt: ts(1) } }, { ts: { $gt: ts(3) } }]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /cursor killed/);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { startServer } = require('./support/server');
+
+describe('realtime:aggregate', () => {
+  let env;
+  let client;
+  let authorized;
+
+  beforeEach(async () => {
+    authorized = [];
+    env = await startServer({
+      authorize: (context, operation) => {
+        authorized.push([operation.type, operation.collection]);
+        return operation.collection !== 'secrets';
+      },
+      policies: { users: { redact: ['passwordHash', 'profile.email'] } },
+    });
+    await env.db.collection('users').insertOne({ name: 'alice', passwordHash: 'x' });
+    client = await env.connect();
+  });
+
+  afterEach(() => env.close());
+
+  const aggregate = (pipeline) =>
+    client.request({ type: 'realtime:aggregate', collection: 'users', pipeline });
+
+  it('authorizes every joined collection', async () => {
+    const reply = await aggregate([
+      { $match: {} },
+      { $unionWith: { coll: 'orders', pipeline: [{ $lookup: { from: 'secrets', as: 's', pipeline: [] } }] } },
+    ]);
+    assert.equal(reply.type, 'realtime:error');
+    assert.equal(reply.code, 'forbidden');
+    assert.deepEqual(reply.details, { operation: 'aggregate', collection: 'secrets' });
+    assert.deepEqual(authorized, [
+      ['aggregate', 'users'],
+      ['aggregate', 'orders'],
+      ['aggregate', 'secrets'],
+    ]);
+  });
+
+  it('treats $getField as mentioning the field it reads', async () => {
+    for (const value of [
+      { $getField: 'passwordHash' },
+      { $getField: { field: 'passwordHash', input: '$$ROOT' } },
+      { $getField: { field: { $literal: 'email' }, input: '$profile' } },
+      { $getField: { field: { $concat: ['pass', 'wordHash'] }, input: '$$CURRENT' } },
+    ]) {
+      const reply = await aggregate([{ $project: { value } }]);
+      assert.equal(reply.type, 'realtime:error', JSON.stringify(value));
+      assert.equal(reply.code, 'forbidden');
+    }
+
+    const allowed = [
+      { $project: { phone: { $getField: { field: 'phone', input: '$profile' } } } },
+    ];
+    await aggregate(allowed);
+    assert.deepEqual(env.db.pipelines, [allowed]);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { RealtimeError } = require('../src');
+const { createFakeDb } = require('./support/fake-db');
+const { startServer, wait } = require('./support/server');
+
+describe('authorize', () => {
+  let env;
+  let client;
+  let operations;
+
+  beforeEach(async () => {
+    operations = [];
+    const db = createFakeDb();
+    await db.collection('notes').insertOne({ title: 'a' });
+    await db.collection('secrets').insertOne({ title: 's' });
+    env = await startServer({
+      db,
+      authenticate: (user) => user,
+      authorize: (context, operation) => {
+        operations.push({ user: context.user.id, ...operation });
+        if (operation.type === 'delete') {
+          throw new RealtimeError('Deletes are disabled.', { code: 'read-only' });
+        }
+        return operation.collection !== 'secrets';
+      },
+    });
+    client = await env.connect({ id: 'alice' });
+  });
+
+  afterEach(() => env.close());
+
+  it('describes every operation', async () => {
+    await client.request({
+      type: 'realtime:fetch',
+      collection: 'notes',
+      filter: { title: 'a' },
+      queryId: 'q',
+    });
+    await client.request({
+      type: 'realtime:update',
+      collection: 'notes',
+      filter: {},
+      update: { $set: { title: 'b' } },
+      requestId: 'r',
+    });
+    assert.deepEqual(operations.filter(({ type }) => type !== 'db:change'), [
+      {
+        user: 'alice',
+        type: 'fetch',
+        collection: 'notes',
+        filter: { title: 'a' },
+        projection: {},
+      },
+      {
+        user: 'alice',
+        type: 'update',
+        collection: 'notes',
+        filter: {},
+        update: { $set: { title: 'b' } },
+      },
+    ]);
+  });
+
+  it('answers denied operations with their queryId or requestId', async () => {
+    const query = await client.request({
+      type: 'realtime:subscribe',
+      collection: 'secrets',
+      queryId: 'q',
+    });
+    assert.deepEqual(query, {
+      type: 'realtime:error',
+      error: 'Not authorized to subscribe on "secrets".',
+      code: 'forbidden',
+      details: { operation: 'subscribe', collection: 'secrets' },
+      queryId: 'q',
+    });
+
+    const write = await client.request({
+      type: 'realtime:insert',
+      collection: 'secrets',
+      document: { title: 't' },
+      requestId: 'r',
+    });
+    assert.equal(write.type, 'realtime:insert:error');
+    assert.equal(write.requestId, 'r');
+    assert.equal(write.code, 'forbidden');
+    assert.equal((await env.db.collection('secrets').find({}).toArray()).length, 1);
+  });
+
+  it('passes on the code of a thrown RealtimeError', async () => {
+    const reply = await client.request({
+      type: 'realtime:delete',
+      collection: 'notes',
+      filter: {},
+      requestId: 'r',
+    });
+    assert.equal(reply.type, 'realtime:delete:error');
+    assert.equal(reply.code, 'read-only');
+    assert.equal(reply.error, 'Deletes are disabled.');
+  });
+
+  it('filters realtime:db:change by collection', async () => {
+    await env.db.collection('secrets').insertOne({ title: 't' });
+    await env.db.collection('notes').insertOne({ title: 'b' });
+    await client.receive((message) => message.type === 'realtime:db:change');
+    await wait();
+
+    const collections = client.inbox
+      .filter(({ type }) => type === 'realtime:db:change')
+      .map(({ collection }) => collection);
+    assert.deepEqual([...new Set(collections)], ['notes']);
+    assert.deepEqual(
+      operations.map(({ type, collection }) => `${type}:${collection}`).sort(),
+      ['db:change:notes', 'db:change:secrets'],
+    );
+  });
+});
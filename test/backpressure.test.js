@@ -0,0 +1,40 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, describe, it } = require('node:test');
+
+const { createFakeDb } = require('./support/fake-db');
+const { startServer, wait } = require('./support/server');
+
+describe('slow consumers', () => {
+  let env;
+
+  afterEach(() => env.close());
+
+  it('are told how many realtime:db:change messages they missed', async () => {
+    const db = createFakeDb();
+    const notes = db.collection('notes');
+    await notes.insertOne({ n: 0, pad: 'x'.repeat(5000) });
+    env = await startServer({ db, highWaterMark: 4000 });
+    const client = await env.connect();
+
+    client.pause();
+    const updates = 200;
+    for (let n = 1; n <= updates; n++) {
+      await notes.updateMany({}, { $set: { n } });
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await wait(200);
+    client.resume();
+
+    const { collections } = await client.receive(
+      (message) => message.type === 'realtime:db:change:skipped',
+    );
+    assert.ok(collections.notes > 0);
+    const received = client.inbox.filter(
+      (message) => message.type === 'realtime:db:change',
+    );
+    // One message per db:* event name of each update.
+    assert.equal(received.length + collections.notes, updates * 6);
+  });
+});
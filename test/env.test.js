@@ -0,0 +1,35 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { readEnvironmentOptions } = require('../src/env');
+
+describe('readEnvironmentOptions', () => {
+  it('caps durations at the longest timer delay', () => {
+    const options = readEnvironmentOptions({
+      resumeWindowMs: Infinity,
+      heartbeatIntervalMs: 2 ** 40,
+      batchWindowMs: '1e12',
+      maxBatchWindowMs: 1000,
+    });
+    assert.equal(options.resumeWindowMs, 2 ** 31 - 1);
+    assert.equal(options.heartbeatIntervalMs, 2 ** 31 - 1);
+    assert.equal(options.batchWindowMs, 2 ** 31 - 1);
+    assert.equal(options.maxBatchWindowMs, 1000);
+  });
+
+  it('caps durations given in seconds', () => {
+    const previous = process.env.CACHE_TTL_SECONDS;
+    process.env.CACHE_TTL_SECONDS = '1e10';
+    try {
+      assert.equal(readEnvironmentOptions().cacheTtlMs, 2 ** 31 - 1);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.CACHE_TTL_SECONDS;
+      } else {
+        process.env.CACHE_TTL_SECONDS = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { diffDocuments } = require('../src/patch');
+
+describe('diffDocuments', () => {
+  it('returns no operation for equal documents', () => {
+    assert.deepEqual(diffDocuments({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+  });
+
+  it('adds, replaces and removes fields', () => {
+    assert.deepEqual(
+      diffDocuments(
+        { _id: 1, name: 'a', old: true, meta: { x: 1 } },
+        { _id: 1, name: 'b', meta: { x: 1, y: 2 } },
+      ),
+      [
+        { op: 'remove', path: '/old' },
+        { op: 'replace', path: '/name', value: 'b' },
+        { op: 'add', path: '/meta/y', value: 2 },
+      ],
+    );
+  });
+
+  it('diffs arrays element by element', () => {
+    assert.deepEqual(diffDocuments({ list: [1, 2, 3] }, { list: [1, 4] }), [
+      { op: 'replace', path: '/list/1', value: 4 },
+      { op: 'remove', path: '/list/2' },
+    ]);
+    assert.deepEqual(diffDocuments({ list: [1] }, { list: [1, 2, 3] }), [
+      { op: 'add', path: '/list/1', value: 2 },
+      { op: 'add', path: '/list/2', value: 3 },
+    ]);
+  });
+
+  it('replaces values whose type changed', () => {
+    assert.deepEqual(diffDocuments({ a: { b: 1 } }, { a: [1] }), [
+      { op: 'replace', path: '/a', value: [1] },
+    ]);
+  });
+
+  it('escapes "~" and "/" in keys', () => {
+    assert.deepEqual(diffDocuments({}, { 'a/b~c': 1 }), [
+      { op: 'add', path: '/a~1b~0c', value: 1 },
+    ]);
+  });
+
+  it('copies added values', () => {
+    const after = { nested: { list: [1] } };
+    const [operation] = diffDocuments({}, after);
+    operation.value.list.push(2);
+    assert.deepEqual(after.nested.list, [1]);
+  });
+});
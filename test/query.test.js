@@ -0,0 +1,291 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { BSON } = require('mongodb');
+
+const {
+  applyMongoUpdate,
+  assertClientFilter,
+  assertSupportedFilter,
+  collectFilterPaths,
+  compareValues,
+  matchesFilter,
+  sortDocuments,
+} = require('../src/query');
+
+describe('matchesFilter', () => {
+  const user = {
+    name: 'Alice',
+    age: 31,
+    tags: ['admin', 'ops'],
+    items: [{ price: 5 }, { price: 20 }],
+    address: { city: 'Lyon' },
+  };
+
+  it('matches implicit equality and comparison operators', () => {
+    assert.equal(matchesFilter(user, { name: 'Alice' }), true);
+    assert.equal(matchesFilter(user, { name: 'Bob' }), false);
+    assert.equal(matchesFilter(user, { age: { $gte: 30, $lt: 40 } }), true);
+    assert.equal(matchesFilter(user, { age: { $gt: 31 } }), false);
+    assert.equal(matchesFilter(user, { age: { $ne: 30 } }), true);
+  });
+
+  it('does not compare values of different types', () => {
+    assert.equal(matchesFilter(user, { age: { $gt: '30' } }), false);
+    assert.equal(matchesFilter(user, { name: { $lt: 1 } }), false);
+  });
+
+  it('traverses arrays and nested paths', () => {
+    assert.equal(matchesFilter(user, { tags: 'ops' }), true);
+    assert.equal(matchesFilter(user, { 'items.price': { $gt: 10 } }), true);
+    assert.equal(matchesFilter(user, { 'items.price': { $gt: 50 } }), false);
+    assert.equal(matchesFilter(user, { 'items.1.price': 20 }), true);
+    assert.equal(matchesFilter(user, { 'address.city': 'Lyon' }), true);
+  });
+
+  it('supports $in, $nin, $exists, $all, $size and $elemMatch', () => {
+    assert.equal(matchesFilter(user, { name: { $in: ['Bob', 'Alice'] } }), true);
+    assert.equal(matchesFilter(user, { tags: { $nin: ['admin'] } }), false);
+    assert.equal(matchesFilter(user, { phone: { $exists: false } }), true);
+    assert.equal(matchesFilter(user, { tags: { $all: ['ops', 'admin'] } }), true);
+    assert.equal(matchesFilter(user, { tags: { $size: 2 } }), true);
+    assert.equal(
+      matchesFilter(user, { items: { $elemMatch: { price: { $gte: 5, $lt: 6 } } } }),
+      true,
+    );
+  });
+
+  it('supports logical operators and $not', () => {
+    assert.equal(matchesFilter(user, { $or: [{ age: 1 }, { name: 'Alice' }] }), true);
+    assert.equal(matchesFilter(user, { $and: [{ age: 31 }, { name: 'Bob' }] }), false);
+    assert.equal(matchesFilter(user, { $nor: [{ age: 1 }] }), true);
+    assert.equal(matchesFilter(user, { age: { $not: { $gt: 40 } } }), true);
+  });
+
+  it('matches regular expressions given as $regex or as values', () => {
+    assert.equal(matchesFilter(user, { name: { $regex: '^al', $options: 'i' } }), true);
+    assert.equal(matchesFilter(user, { name: /^AL/i }), true);
+    assert.equal(matchesFilter(user, { name: new BSON.BSONRegExp('ice$') }), true);
+    assert.equal(matchesFilter(user, { tags: /^op/ }), true);
+    assert.equal(matchesFilter(user, { name: { $in: [/^B/, /^A/] } }), true);
+    assert.equal(matchesFilter(user, { name: /^B/ }), false);
+  });
+
+  it('matches $type aliases and codes', () => {
+    const document = {
+      id: new BSON.ObjectId(),
+      at: new Date(),
+      count: 3,
+      ratio: 0.5,
+      big: BSON.Long.fromNumber(2 ** 40),
+      price: BSON.Decimal128.fromString('9.99'),
+    };
+    assert.equal(matchesFilter(document, { id: { $type: 'objectId' } }), true);
+    assert.equal(matchesFilter(document, { at: { $type: 'date' } }), true);
+    assert.equal(matchesFilter(document, { at: { $type: 9 } }), true);
+    assert.equal(matchesFilter(document, { count: { $type: 'int' } }), true);
+    assert.equal(matchesFilter(document, { ratio: { $type: 'double' } }), true);
+    assert.equal(matchesFilter(document, { big: { $type: 'long' } }), true);
+    assert.equal(matchesFilter(document, { price: { $type: 'decimal' } }), true);
+    assert.equal(matchesFilter(document, { price: { $type: 'number' } }), true);
+    assert.equal(matchesFilter(document, { count: { $type: 'string' } }), false);
+  });
+
+  it('evaluates $expr comparisons between fields', () => {
+    const order = { spent: 120, budget: 100 };
+    assert.equal(matchesFilter(order, { $expr: { $gt: ['$spent', '$budget'] } }), true);
+    assert.equal(matchesFilter(order, { $expr: { $lt: ['$spent', '$budget'] } }), false);
+  });
+});
+
+describe('assertSupportedFilter', () => {
+  it('accepts filters the matcher can evaluate', () => {
+    assert.doesNotThrow(() =>
+      assertSupportedFilter({ age: { $gt: 1 }, $or: [{ at: { $type: 'date' } }] }));
+  });
+
+  it('rejects operators the matcher cannot evaluate', () => {
+    assert.throws(
+      () => assertSupportedFilter({ $text: { $search: 'x' } }),
+      { code: 'unsupported', details: { operator: '$text' } },
+    );
+    assert.throws(
+      () => assertSupportedFilter({ place: { $geoWithin: {} } }),
+      { code: 'unsupported' },
+    );
+  });
+
+  it('rejects $type values the driver does not preserve', () => {
+    for (const type of ['double', 'int', 'long', 1, 16, 18, ['string', 'long']]) {
+      assert.throws(
+        () => assertSupportedFilter({ n: { $type: type } }),
+        { code: 'unsupported', details: { operator: '$type', type: [].concat(type).at(-1) } },
+      );
+    }
+    assert.doesNotThrow(() => assertSupportedFilter({ n: { $type: ['number', 19] } }));
+  });
+});
+
+describe('assertClientFilter', () => {
+  it('rejects operators that hide which fields are read', () => {
+    assert.doesNotThrow(() => assertClientFilter({ $expr: { $eq: ['$a', 1] } }));
+    assert.throws(
+      () => assertClientFilter({ $or: [{ $where: 'true' }] }),
+      { code: 'forbidden', details: { operator: '$where' } },
+    );
+    assert.throws(
+      () => assertClientFilter({ $expr: { $eq: [{ $getField: 'a' }, 1] } }),
+      { code: 'forbidden', details: { operator: '$getField' } },
+    );
+  });
+});
+
+describe('collectFilterPaths', () => {
+  it('collects field and expression paths', () => {
+    assert.deepEqual(
+      collectFilterPaths({
+        a: 1,
+        $or: [{ 'b.c': 1 }],
+        $expr: { $eq: ['$d', '$$ROOT.e', '$$now', { $literal: '$f' }] },
+      }),
+      ['a', 'b.c', 'd', 'e'],
+    );
+  });
+
+  it('reports the whole document as the empty path', () => {
+    assert.deepEqual(collectFilterPaths({ $expr: { $ne: ['$$CURRENT', null] } }), ['']);
+  });
+});
+
+describe('applyMongoUpdate', () => {
+  it('applies field operators without mutating the document', () => {
+    const document = { _id: 1, count: 2, price: 10, name: 'a', old: true };
+    const updated = applyMongoUpdate(document, {
+      $set: { name: 'b', 'meta.tag': 'x' },
+      $inc: { count: 3 },
+      $mul: { price: 2 },
+      $unset: { old: '' },
+    });
+
+    assert.deepEqual(updated, {
+      _id: 1,
+      count: 5,
+      price: 20,
+      name: 'b',
+      meta: { tag: 'x' },
+    });
+    assert.equal(document.count, 2);
+  });
+
+  it('applies $min, $max and $rename', () => {
+    const updated = applyMongoUpdate(
+      { low: 5, high: 5, from: 'x' },
+      { $min: { low: 3 }, $max: { high: 9 }, $rename: { from: 'to' } },
+    );
+    assert.deepEqual(updated, { low: 3, high: 9, to: 'x' });
+  });
+
+  it('writes a Date for $currentDate', () => {
+    const updated = applyMongoUpdate({}, {
+      $currentDate: { at: true, seen: { $type: 'date' } },
+    });
+    assert.ok(updated.at instanceof Date);
+    assert.ok(updated.seen instanceof Date);
+    assert.throws(
+      () => applyMongoUpdate({}, { $currentDate: { at: { $type: 'timestamp' } } }),
+      { code: 'unsupported' },
+    );
+  });
+
+  it('applies array operators', () => {
+    const updated = applyMongoUpdate(
+      { tags: ['a'], scores: [1, 5, 3], queue: [1, 2, 3], set: ['x'] },
+      {
+        $push: { tags: { $each: ['c', 'b'], $sort: 1 } },
+        $pull: { scores: { $gt: 2 } },
+        $pop: { queue: -1 },
+        $addToSet: { set: { $each: ['x', 'y'] } },
+      },
+    );
+    assert.deepEqual(updated, {
+      tags: ['a', 'b', 'c'],
+      scores: [1],
+      queue: [2, 3],
+      set: ['x', 'y'],
+    });
+  });
+
+  it('resolves positional operators', () => {
+    const document = { items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 1 }] };
+
+    assert.deepEqual(
+      applyMongoUpdate(document, { $inc: { 'items.$.qty': 1 } }, {
+        filter: { 'items.sku': 'b' },
+      }).items,
+      [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 2 }],
+    );
+    assert.deepEqual(
+      applyMongoUpdate(document, { $set: { 'items.$[].qty': 0 } }).items,
+      [{ sku: 'a', qty: 0 }, { sku: 'b', qty: 0 }],
+    );
+    assert.deepEqual(
+      applyMongoUpdate(document, { $set: { 'items.$[it].qty': 9 } }, {
+        arrayFilters: [{ 'it.sku': 'a' }],
+      }).items,
+      [{ sku: 'a', qty: 9 }, { sku: 'b', qty: 1 }],
+    );
+  });
+
+  it('keeps _id when replacing the document', () => {
+    assert.deepEqual(
+      applyMongoUpdate({ _id: 1, name: 'a' }, { name: 'b' }),
+      { _id: 1, name: 'b' },
+    );
+  });
+});
+
+describe('compareValues', () => {
+  it('orders values of different types like MongoDB', () => {
+    const ordered = [null, 1, 'a', {}, [], new BSON.ObjectId(), false, new Date(0)];
+    for (let index = 1; index < ordered.length; index += 1) {
+      assert.ok(compareValues(ordered[index - 1], ordered[index]) < 0);
+    }
+  });
+
+  it('compares numbers across BSON numeric types', () => {
+    assert.equal(compareValues(2, BSON.Long.fromNumber(2)), 0);
+    assert.ok(compareValues(new BSON.Int32(1), new BSON.Double(1.5)) < 0);
+  });
+
+  it('compares strings with a collation', () => {
+    assert.ok(compareValues('a', 'B') > 0);
+    assert.ok(compareValues('a', 'B', { locale: 'en' }) < 0);
+    assert.equal(compareValues('a', 'A', { locale: 'en', strength: 2 }), 0);
+  });
+});
+
+describe('sortDocuments', () => {
+  const documents = [
+    { _id: 1, group: 'b', rank: 2 },
+    { _id: 2, group: 'a', rank: 3 },
+    { _id: 3, group: 'b', rank: 1 },
+  ];
+
+  it('sorts on several keys and applies limit', () => {
+    assert.deepEqual(
+      sortDocuments(documents, { group: -1, rank: 1 }).map(({ _id }) => _id),
+      [3, 1, 2],
+    );
+    assert.deepEqual(
+      sortDocuments(documents, { rank: -1 }, 2).map(({ _id }) => _id),
+      [2, 1],
+    );
+  });
+
+  it('does not reorder the input array', () => {
+    sortDocuments(documents, { rank: 1 });
+    assert.deepEqual(documents.map(({ _id }) => _id), [1, 2, 3]);
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { startServer } = require('./support/server');
+
+describe('redacted fields', () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startServer({
+      policies: { users: { redact: ['passwordHash'] } },
+    });
+    await env.db.collection('users').insertOne({ name: 'alice', passwordHash: 'x' });
+    client = await env.connect();
+  });
+
+  afterEach(() => env.close());
+
+  const fetch = (filter) =>
+    client.request({ type: 'realtime:fetch', collection: 'users', filter });
+
+  it('are stripped from fetched documents', async () => {
+    const reply = await fetch({});
+    assert.equal(reply.type, 'realtime:initial');
+    assert.deepEqual(reply.documents.map(({ _id, ...rest }) => rest), [{ name: 'alice' }]);
+  });
+
+  it('cannot be filtered on', async () => {
+    for (const filter of [
+      { passwordHash: 'x' },
+      { $or: [{ passwordHash: { $regex: '^x' } }] },
+      { $expr: { $eq: ['$passwordHash', 'x'] } },
+      { $expr: { $eq: ['$$ROOT.passwordHash', 'x'] } },
+      { $expr: { $ne: ['$$ROOT', null] } },
+      { $expr: { $eq: [{ $getField: 'passwordHash' }, 'x'] } },
+      { $where: 'this.passwordHash === "x"' },
+      { $expr: { $function: { body: 'return true', args: ['$$CURRENT'], lang: 'js' } } },
+    ]) {
+      const reply = await fetch(filter);
+      assert.equal(reply.type, 'realtime:error', JSON.stringify(filter));
+      assert.equal(reply.code, 'forbidden');
+    }
+  });
+
+  it('cannot be used to select updated documents', async () => {
+    const reply = await client.request(
+      {
+        type: 'realtime:update',
+        collection: 'users',
+        filter: { passwordHash: { $regex: '^x' } },
+        update: { $set: { name: 'bob' } },
+        requestId: 'r',
+      },
+      (message) => message.requestId === 'r',
+    );
+    assert.equal(reply.type, 'realtime:update:error');
+    assert.equal(reply.code, 'forbidden');
+  });
+
+  it('cannot be aggregated', async () => {
+    const reply = await client.request({
+      type: 'realtime:aggregate',
+      collection: 'users',
+      pipeline: [{ $match: { passwordHash: 'x' } }],
+    });
+    assert.equal(reply.type, 'realtime:error');
+    assert.equal(reply.code, 'forbidden');
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { startServer, wait } = require('./support/server');
+
+describe('subscription ownership', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await startServer({ authenticate: (user) => user });
+    await env.db.collection('notes').insertOne({ title: 'a' });
+  });
+
+  afterEach(() => env.close());
+
+  const subscription = { type: 'realtime:subscribe', collection: 'notes', queryId: 'q' };
+
+  it('lets the same identity resume a detached subscription', async () => {
+    const alice = await env.connect({ id: 'alice' });
+    const { token } = await alice.request(subscription);
+    alice.close();
+    await wait();
+    await env.db.collection('notes').insertOne({ title: 'b' });
+    await wait();
+
+    const again = await env.connect({ id: 'alice' });
+    const resumed = await again.request({ ...subscription, resumeAfter: token });
+    assert.equal(resumed.type, 'realtime:resumed');
+    assert.equal(resumed.count, 1);
+    const missed = await again.receive((message) => message.type === 'realtime:insert');
+    assert.equal(missed.document.title, 'b');
+  });
+
+  it('keeps other identities from resuming a detached subscription', async () => {
+    const alice = await env.connect({ id: 'alice' });
+    const { token } = await alice.request(subscription);
+    alice.close();
+    await wait();
+
+    const mallory = await env.connect({ id: 'mallory' });
+    const reply = await mallory.request({ ...subscription, resumeAfter: token });
+    assert.equal(reply.type, 'realtime:error');
+    assert.equal(reply.code, 'forbidden');
+
+    const again = await env.connect({ id: 'alice' });
+    const resumed = await again.request({ ...subscription, resumeAfter: token });
+    assert.equal(resumed.type, 'realtime:resumed');
+  });
+
+  it('keeps other sockets from stopping a subscription', async () => {
+    const alice = await env.connect({ id: 'alice' });
+    await alice.request(subscription);
+
+    const mallory = await env.connect({ id: 'mallory' });
+    mallory.send({ type: 'realtime:unsubscribe', queryId: 'q' });
+    await wait();
+    await env.db.collection('notes').insertOne({ title: 'b' });
+
+    const inserted = await alice.receive((message) => message.type === 'realtime:insert');
+    assert.equal(inserted.document.title, 'b');
+  });
+});
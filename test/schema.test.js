@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { validateSchema } = require('../src/schema');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'email'],
+    additionalProperties: false,
+    properties: {
+      _id: {},
+      name: { type: 'string', minLength: 1, maxLength: 10 },
+      email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+      age: { type: 'integer', minimum: 0 },
+      role: { enum: ['admin', 'user'] },
+      tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+    },
+  };
+
+  it('accepts a valid document', () => {
+    assert.deepEqual(
+      validateSchema({ name: 'Alice', email: 'a@b.c', age: 3, tags: ['x'] }, schema),
+      [],
+    );
+  });
+
+  it('reports every violation with its path', () => {
+    assert.deepEqual(
+      validateSchema(
+        { name: '', age: -1, role: 'root', tags: ['x', 'x', 1], extra: true },
+        schema,
+      ),
+      [
+        { path: 'email', message: 'is required' },
+        { path: 'name', message: 'must have at least 1 characters' },
+        { path: 'age', message: 'must be >= 0' },
+        { path: 'role', message: 'must be one of ["admin","user"]' },
+        { path: 'tags', message: 'must not contain duplicate items' },
+        { path: 'tags.2', message: 'must be of type string' },
+        { path: 'extra', message: 'is not allowed' },
+      ],
+    );
+  });
+
+  it('stops at a type mismatch', () => {
+    assert.deepEqual(validateSchema('x', { type: ['number', 'null'], minLength: 5 }), [
+      { path: '', message: 'must be of type number or null' },
+    ]);
+  });
+
+  it('supports combinators', () => {
+    assert.deepEqual(validateSchema(5, { anyOf: [{ type: 'string' }, { minimum: 1 }] }), []);
+    assert.deepEqual(validateSchema(5, { oneOf: [{ type: 'number' }, { minimum: 1 }] }), [
+      { path: '', message: 'must match exactly one allowed schema' },
+    ]);
+    assert.deepEqual(validateSchema(5, { not: { type: 'number' } }), [
+      { path: '', message: 'must not match the forbidden schema' },
+    ]);
+    assert.deepEqual(validateSchema(5, { allOf: [{ maximum: 3 }, { multipleOf: 2 }] }), [
+      { path: '', message: 'must be <= 3' },
+      { path: '', message: 'must be a multiple of 2' },
+    ]);
+  });
+
+  it('treats boolean schemas as allow-all and deny-all', () => {
+    assert.deepEqual(validateSchema({ a: 1 }, true), []);
+    assert.deepEqual(validateSchema(1, false, 'a'), [
+      { path: 'a', message: 'is not allowed' },
+    ]);
+  });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { startServer } = require('./support/server');
+
+describe('policy filters', () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startServer({
+      authenticate: (user) => user,
+      policies: { notes: { filter: (ctx) => ({ tenant: ctx.user.tenant }) } },
+    });
+    const notes = env.db.collection('notes');
+    await notes.insertOne({ tenant: 'a', title: 'a1', other: 'b' });
+    await notes.insertOne({ tenant: 'b', title: 'b1' });
+    client = await env.connect({ tenant: 'a' });
+  });
+
+  afterEach(() => env.close());
+
+  const titles = async () =>
+    (await env.db.collection('notes').find({}).sort({ title: 1 }).toArray())
+      .map(({ tenant, title }) => `${tenant}:${title}`);
+
+  it('scopes fetches', async () => {
+    const reply = await client.request(
+      { type: 'realtime:fetch', collection: 'notes', queryId: 'q' },
+      (message) => message.queryId === 'q',
+    );
+    assert.deepEqual(reply.documents.map(({ title }) => title), ['a1']);
+  });
+
+  it('scopes aggregations', async () => {
+    const reply = await client.request(
+      {
+        type: 'realtime:aggregate',
+        collection: 'notes',
+        pipeline: [{ $match: { title: { $exists: true } } }],
+        queryId: 'q',
+      },
+      (message) => message.queryId === 'q',
+    );
+    assert.equal(reply.type, 'realtime:aggregate');
+    assert.deepEqual(reply.documents.map(({ title }) => title), ['a1']);
+  });
+
+  it('scopes updates', async () => {
+    const reply = await client.request(
+      {
+        type: 'realtime:update',
+        collection: 'notes',
+        filter: {},
+        update: { $set: { title: 'x' } },
+        requestId: 'r',
+      },
+      (message) => message.requestId === 'r',
+    );
+    assert.equal(reply.type, 'realtime:update:result');
+    assert.deepEqual(await titles(), ['b:b1', 'a:x']);
+  });
+
+  it('stamps inserted documents with the scope', async () => {
+    const reply = await client.request(
+      {
+        type: 'realtime:insert',
+        collection: 'notes',
+        document: { tenant: 'b', title: 'a2' },
+        requestId: 'r',
+      },
+      (message) => message.requestId === 'r',
+    );
+    assert.equal(reply.type, 'realtime:insert:result');
+    assert.deepEqual(await titles(), ['a:a1', 'a:a2', 'b:b1']);
+  });
+
+  it('stamps the scope after beforeInsert hooks', async () => {
+    env.server.hook('beforeInsert:notes', ({ document }) => {
+      document.tenant = 'b';
+    });
+    const reply = await client.request(
+      {
+        type: 'realtime:insert',
+        collection: 'notes',
+        document: { title: 'a2' },
+        requestId: 'r',
+      },
+      (message) => message.requestId === 'r',
+    );
+    assert.equal(reply.type, 'realtime:insert:result');
+    assert.deepEqual(await titles(), ['a:a1', 'a:a2', 'b:b1']);
+  });
+
+  it('rejects updates that move documents out of the scope', async () => {
+    for (const update of [
+      { $set: { tenant: 'b' } },
+      { $unset: { tenant: '' } },
+      { $rename: { other: 'tenant' } },
+      { $rename: { tenant: 'owner' } },
+    ]) {
+      const requestId = JSON.stringify(update);
+      const reply = await client.request(
+        { type: 'realtime:update', collection: 'notes', filter: {}, update, requestId },
+        (message) => message.requestId === requestId,
+      );
+      assert.equal(reply.type, 'realtime:update:error');
+      assert.equal(reply.code, 'forbidden');
+    }
+    assert.deepEqual(await titles(), ['a:a1', 'b:b1']);
+  });
+});
+
+describe('policy filters without equalities', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await startServer({
+      authenticate: (user) => user,
+      policies: { notes: { filter: (ctx) => ({ level: { $lte: ctx.user.level } }) } },
+    });
+  });
+
+  afterEach(() => env.close());
+
+  it('reject documents that beforeInsert hooks move out of the scope', async () => {
+    env.server.hook('beforeInsert:notes', ({ document }) => {
+      document.level = 9;
+    });
+    const client = await env.connect({ level: 1 });
+    const reply = await client.request(
+      {
+        type: 'realtime:insert',
+        collection: 'notes',
+        document: { level: 1 },
+        requestId: 'r',
+      },
+      (message) => message.requestId === 'r',
+    );
+    assert.equal(reply.type, 'realtime:insert:error');
+    assert.equal(reply.code, 'forbidden');
+    assert.deepEqual(await env.db.collection('notes').find({}).toArray(), []);
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  coalesceEvent,
+  resolveSubscriptionChange,
+} = require('../src/subscription-state');
+
+const insert = (document) => ({ type: 'realtime:insert', collection: 'c', document });
+const update = (document, before) => ({
+  type: 'realtime:update',
+  collection: 'c',
+  document,
+  before,
+});
+const remove = (documentId) => ({ type: 'realtime:delete', collection: 'c', documentId });
+
+describe('coalesceEvent', () => {
+  it('keeps events about different documents', () => {
+    const events = [];
+    coalesceEvent(events, insert({ _id: 'a' }));
+    coalesceEvent(events, insert({ _id: 'b' }));
+    assert.deepEqual(events, [insert({ _id: 'a' }), insert({ _id: 'b' })]);
+  });
+
+  it('folds updates into a queued insert', () => {
+    const events = [insert({ _id: 'a', n: 1 })];
+    coalesceEvent(events, update({ _id: 'a', n: 2 }, { _id: 'a', n: 1 }));
+    assert.deepEqual(events, [insert({ _id: 'a', n: 2 })]);
+  });
+
+  it('keeps the first before of successive updates', () => {
+    const events = [update({ _id: 'a', n: 2 }, { _id: 'a', n: 1 })];
+    coalesceEvent(events, update({ _id: 'a', n: 3 }, { _id: 'a', n: 2 }));
+    assert.deepEqual(events, [update({ _id: 'a', n: 3 }, { _id: 'a', n: 1 })]);
+  });
+
+  it('cancels an insert followed by a delete', () => {
+    const events = [insert({ _id: 'a' }), insert({ _id: 'b' })];
+    coalesceEvent(events, remove('a'));
+    assert.deepEqual(events, [insert({ _id: 'b' })]);
+  });
+
+  it('replaces an update followed by a delete', () => {
+    const events = [update({ _id: 'a', n: 2 }, { _id: 'a', n: 1 })];
+    coalesceEvent(events, remove('a'));
+    assert.deepEqual(events, [remove('a')]);
+  });
+
+  it('queues an insert after a delete of the same document', () => {
+    const events = [remove('a')];
+    coalesceEvent(events, insert({ _id: 'a' }));
+    assert.deepEqual(events, [remove('a'), insert({ _id: 'a' })]);
+  });
+
+  it('replaces queued tally values', () => {
+    const events = [{ type: 'realtime:count', collection: 'c', count: 1 }];
+    coalesceEvent(events, { type: 'realtime:count', collection: 'c', count: 2 });
+    assert.deepEqual(events, [{ type: 'realtime:count', collection: 'c', count: 2 }]);
+  });
+});
+
+describe('resolveSubscriptionChange', () => {
+  const query = { filter: { active: true }, sort: {} };
+  const previousDocuments = [{ _id: 'a', active: true }];
+
+  it('reports a matching update with the previous version', () => {
+    const { documents, payload } = resolveSubscriptionChange({
+      collection: 'c',
+      query,
+      previousDocuments,
+      change: {
+        operationType: 'update',
+        documentId: 'a',
+        document: { _id: 'a', active: true, n: 1 },
+      },
+    });
+    assert.deepEqual(documents, [{ _id: 'a', active: true, n: 1 }]);
+    assert.deepEqual(
+      payload,
+      update({ _id: 'a', active: true, n: 1 }, { _id: 'a', active: true }),
+    );
+  });
+
+  it('reports a document that stops matching as a delete', () => {
+    const { documents, payload } = resolveSubscriptionChange({
+      collection: 'c',
+      query,
+      previousDocuments,
+      change: {
+        operationType: 'update',
+        documentId: 'a',
+        document: { _id: 'a', active: false },
+      },
+    });
+    assert.deepEqual(documents, []);
+    assert.deepEqual(payload, remove('a'));
+  });
+
+  it('reports a document that starts matching as an insert', () => {
+    const { payload } = resolveSubscriptionChange({
+      collection: 'c',
+      query,
+      previousDocuments: [],
+      change: {
+        operationType: 'replace',
+        documentId: 'b',
+        document: { _id: 'b', active: true },
+      },
+    });
+    assert.deepEqual(payload, insert({ _id: 'b', active: true }));
+  });
+
+  it('ignores changes to documents outside of the result', () => {
+    const { documents, payload } = resolveSubscriptionChange({
+      collection: 'c',
+      query,
+      previousDocuments,
+      change: { operationType: 'delete', documentId: 'z' },
+    });
+    assert.deepEqual(documents, previousDocuments);
+    assert.equal(payload, null);
+  });
+
+  it('only keeps what tallies need of matching documents', () => {
+    const change = {
+      operationType: 'insert',
+      documentId: 'b',
+      document: { _id: 'b', active: true, tag: 'w', body: 'long text' },
+    };
+
+    assert.deepEqual(
+      resolveSubscriptionChange({
+        collection: 'c',
+        query: { ...query, kind: 'count' },
+        previousDocuments: [{ _id: 'a' }],
+        change,
+      }),
+      {
+        documents: [{ _id: 'a' }, { _id: 'b' }],
+        payload: { type: 'realtime:count', collection: 'c', count: 2 },
+      },
+    );
+    assert.deepEqual(
+      resolveSubscriptionChange({
+        collection: 'c',
+        query: { ...query, kind: 'distinct', field: 'tag' },
+        previousDocuments: [],
+        change,
+      }).documents,
+      [{ _id: 'b', tag: 'w' }],
+    );
+  });
+
+  it('recomputes count and distinct tallies', () => {
+    const { payload } = resolveSubscriptionChange({
+      collection: 'c',
+      query: { ...query, kind: 'distinct', field: 'tag' },
+      previousDocuments: [{ _id: 'a', active: true, tag: 'x' }],
+      change: {
+        operationType: 'insert',
+        documentId: 'b',
+        document: { _id: 'b', active: true, tag: 'w' },
+      },
+    });
+    assert.deepEqual(payload, {
+      type: 'realtime:distinct',
+      collection: 'c',
+      field: 'tag',
+      values: ['w', 'x'],
+    });
+  });
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+
+const { ObjectId } = require('mongodb');
+
+const {
+  applyMongoUpdate,
+  deepCopy,
+  matchesFilter,
+  projectDocument,
+  sortDocuments,
+} = require('../../src/query');
+
+/**
+ * In-memory stand-in for the parts of a MongoDB `Db` the server uses: CRUD,
+ * `$match`-only aggregations, change streams and sessions whose transactions
+ * are rolled back when they throw. Every pipeline it is asked to run is kept
+ * in `pipelines`.
+ */
+function createFakeDb() {
+  const collections = new Map();
+  const streams = [];
+  let sequence = 0;
+
+  const publish = (collectionName, change, session) => {
+    const event = {
+      ...change,
+      _id: { _data: String(++sequence) },
+      ns: { db: 'test', coll: collectionName },
+    };
+    if (session?.pending) {
+      session.pending.push([collectionName, event]);
+      return;
+    }
+    for (const stream of streams) {
+      if (!stream.closed && stream.collectionName === collectionName) {
+        setImmediate(() => stream.emit('change', deepCopy(event)));
+      }
+    }
+  };
+
+  const documentsOf = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, []);
+    }
+    return collections.get(name);
+  };
+
+  const db = {
+    databaseName: 'test',
+    pipelines: [],
+    streams,
+    client: {
+      startSession: () => createSession(collections, publish),
+    },
+    listCollections: () => ({
+      toArray: async () => [...collections.keys()].map((name) => ({ name })),
+    }),
+    collection(name) {
+      const documents = documentsOf(name);
+      const matching = (filter) =>
+        documents.filter((document) => matchesFilter(document, filter));
+
+      return {
+        collectionName: name,
+        find(filter = {}) {
+          const options = {};
+          const option = (key) => (value) => {
+            options[key] = value;
+            return cursor;
+          };
+          const cursor = {
+            sort: option('sort'),
+            limit: option('limit'),
+            project: option('projection'),
+            collation: option('collation'),
+            toArray: async () =>
+              sortDocuments(
+                documents.filter((document) =>
+                  matchesFilter(document, filter, options.collation)),
+                options.sort,
+                options.limit ?? null,
+                options.collation,
+              ).map((document) =>
+                projectDocument(document, options.projection)),
+          };
+          return cursor;
+        },
+        aggregate(pipeline) {
+          db.pipelines.push(pipeline);
+          return {
+            toArray: async () =>
+              pipeline.reduce((result, stage) => {
+                if (!stage.$match) {
+                  throw new Error(`Unsupported stage ${Object.keys(stage)[0]}.`);
+                }
+                return result.filter((document) =>
+                  matchesFilter(document, stage.$match));
+              }, documents.map(deepCopy)),
+          };
+        },
+        countDocuments: async (filter = {}) => matching(filter).length,
+        watch() {
+          const stream = new EventEmitter();
+          stream.collectionName = name;
+          stream.closed = false;
+          stream.close = async () => {
+            stream.closed = true;
+          };
+          streams.push(stream);
+          return stream;
+        },
+        async insertOne(document, options = {}) {
+          const inserted = { _id: new ObjectId(), ...deepCopy(document) };
+          documents.push(inserted);
+          publish(name, {
+            operationType: 'insert',
+            documentKey: { _id: inserted._id },
+            fullDocument: deepCopy(inserted),
+          }, options.session);
+          return { acknowledged: true, insertedId: inserted._id };
+        },
+        async updateMany(filter, update, options = {}) {
+          const matched = matching(filter);
+          for (const document of matched) {
+            const next = applyMongoUpdate(document, update, { filter });
+            documents[documents.indexOf(document)] = next;
+            publish(name, {
+              operationType: 'update',
+              documentKey: { _id: next._id },
+              fullDocument: deepCopy(next),
+            }, options.session);
+          }
+          return { matchedCount: matched.length, modifiedCount: matched.length };
+        },
+        async deleteMany(filter, options = {}) {
+          const matched = matching(filter);
+          for (const document of matched) {
+            documents.splice(documents.indexOf(document), 1);
+            publish(name, {
+              operationType: 'delete',
+              documentKey: { _id: document._id },
+            }, options.session);
+          }
+          return { deletedCount: matched.length };
+        },
+      };
+    },
+  };
+
+  return db;
+}
+
+function createSession(collections, publish) {
+  const session = {
+    pending: null,
+    async withTransaction(run) {
+      const snapshot = new Map(
+        [...collections].map(([name, documents]) => [name, deepCopy(documents)]),
+      );
+      session.pending = [];
+      try {
+        await run();
+      } catch (error) {
+        session.pending = null;
+        for (const [name, documents] of snapshot) {
+          collections.get(name).splice(0, Infinity, ...documents);
+        }
+        throw error;
+      }
+
+      const committed = session.pending;
+      session.pending = null;
+      for (const [name, event] of committed) {
+        publish(name, event);
+      }
+    },
+    endSession: async () => {},
+  };
+  return session;
+}
+
+module.exports = {
+  createFakeDb,
+};
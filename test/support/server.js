@@ -0,0 +1,132 @@
+'use strict';
+
+const http = require('node:http');
+
+const WebSocket = require('ws');
+
+const { MongoRealTimeServer } = require('../../src');
+const { createFakeDb } = require('./fake-db');
+
+/**
+ * Starts a server on a random local port, backed by an in-memory database
+ * unless `options.db` is given.
+ */
+async function startServer(options = {}) {
+  const db = options.db ?? createFakeDb();
+  const httpServer = http.createServer();
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+
+  const server = new MongoRealTimeServer({
+    server: httpServer,
+    logger: {},
+    heartbeatIntervalMs: 0,
+    ...options,
+    db,
+  });
+  await server.start();
+
+  const sockets = [];
+  return {
+    db,
+    server,
+    async connect(user) {
+      const socket = await connectClient(httpServer.address().port, user);
+      sockets.push(socket);
+      return socket;
+    },
+    async close() {
+      for (const socket of sockets) {
+        socket.close();
+      }
+      await server.stop();
+      await new Promise((resolve) => httpServer.close(resolve));
+    },
+  };
+}
+
+/**
+ * Opens a JSON client. `user` is sent as the `auth` header, for
+ * `authenticate` to return.
+ */
+async function connectClient(port, user) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/`, {
+    headers: user === undefined ? {} : { auth: JSON.stringify(user) },
+  });
+  const inbox = [];
+  const waiters = new Set();
+  ws.on('message', (buffer) => {
+    const message = JSON.parse(buffer.toString());
+    inbox.push(message);
+    for (const waiter of waiters) {
+      if (waiter.matches(message)) {
+        waiters.delete(waiter);
+        waiter.resolve(message);
+      }
+    }
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  return {
+    inbox,
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+    /**
+     * Resolves with the first message, already received or not, for which
+     * `matches` returns `true`.
+     */
+    receive(matches, timeoutMs = 2000) {
+      const received = inbox.find(matches);
+      if (received) {
+        return Promise.resolve(received);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          matches,
+          resolve: (message) => {
+            clearTimeout(timer);
+            resolve(message);
+          },
+        };
+        const timer = setTimeout(() => {
+          waiters.delete(waiter);
+          reject(new Error('Timed out waiting for a message.'));
+        }, timeoutMs);
+        waiters.add(waiter);
+      });
+    },
+    /**
+     * Sends `message` and resolves with the matching reply, or with the next
+     * message when `matches` is omitted.
+     */
+    async request(message, matches) {
+      const sent = inbox.length;
+      this.send(message);
+      return this.receive(
+        matches ?? ((received) => inbox.indexOf(received) >= sent),
+      );
+    },
+    /** Stops reading from the connection, so the server's buffer fills up. */
+    pause() {
+      ws._socket.pause();
+    },
+    resume() {
+      ws._socket.resume();
+    },
+    close() {
+      ws.close();
+    },
+  };
+}
+
+function wait(ms = 30) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  startServer,
+  wait,
+};
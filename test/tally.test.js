@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { isDeepStrictEqual } = require('node:util');
+
+const { startServer } = require('./support/server');
+
+describe('realtime:count and realtime:distinct', () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startServer();
+    await env.db.collection('notes').insertOne({ tag: 'x', active: true });
+    client = await env.connect();
+  });
+
+  afterEach(() => env.close());
+
+  const tallies = (queryId) =>
+    client.inbox.filter((message) => message.queryId === queryId);
+  const reaches = (queryId, key, value) =>
+    client.receive((message) =>
+      message.queryId === queryId && isDeepStrictEqual(message[key], value));
+
+  it('match live changes on fields they do not track', async () => {
+    client.send({
+      type: 'realtime:distinct',
+      collection: 'notes',
+      field: 'tag',
+      filter: { active: true },
+      queryId: 'd',
+    });
+    client.send({
+      type: 'realtime:count',
+      collection: 'notes',
+      filter: { active: true },
+      queryId: 'c',
+    });
+    await reaches('d', 'values', ['x']);
+    await reaches('c', 'count', 1);
+
+    const notes = env.db.collection('notes');
+    await notes.insertOne({ tag: 'z', active: false });
+    await notes.insertOne({ tag: 'y', active: true });
+    await reaches('d', 'values', ['x', 'y']);
+    await reaches('c', 'count', 2);
+
+    await notes.updateMany({ tag: 'x' }, { $set: { active: false } });
+    await reaches('d', 'values', ['y']);
+    await reaches('c', 'count', 1);
+
+    assert.deepEqual(
+      tallies('d').map(({ values }) => values),
+      [['x'], ['x', 'y'], ['y']],
+    );
+    assert.deepEqual(tallies('c').map(({ count }) => count), [1, 2, 1]);
+  });
+});
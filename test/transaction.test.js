@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { startServer, wait } = require('./support/server');
+
+describe('realtime:transaction', () => {
+  let env;
+  let client;
+  let inserted;
+
+  beforeEach(async () => {
+    inserted = [];
+    env = await startServer({
+      authorize: (context, operation) => operation.collection !== 'audit',
+      policies: {
+        accounts: {
+          schema: { type: 'object', required: ['owner'] },
+        },
+      },
+    });
+    env.server.hook('afterInsert:accounts', ({ document }) => {
+      inserted.push(document.owner);
+    });
+    await env.db.collection('accounts').insertOne({ owner: 'a', balance: 100 });
+    client = await env.connect();
+    await client.request(
+      { type: 'realtime:subscribe', collection: 'accounts', queryId: 'q' },
+      (message) => message.queryId === 'q',
+    );
+  });
+
+  afterEach(() => env.close());
+
+  const accounts = async () =>
+    (await env.db.collection('accounts').find({}).sort({ owner: 1 }).toArray())
+      .map(({ owner, balance }) => `${owner}:${balance}`);
+
+  const transaction = (operations) =>
+    client.request(
+      { type: 'realtime:transaction', requestId: 't', operations },
+      (message) => message.requestId === 't',
+    );
+
+  it('applies every operation and reports their results in order', async () => {
+    const reply = await transaction([
+      {
+        type: 'update',
+        collection: 'accounts',
+        filter: { owner: 'a' },
+        update: { $inc: { balance: -50 } },
+      },
+      { type: 'insert', collection: 'accounts', document: { owner: 'b', balance: 50 } },
+    ]);
+
+    assert.equal(reply.type, 'realtime:transaction:result');
+    assert.deepEqual(
+      reply.data.results.map(({ type, insertedId, ...rest }) => ({ type, ...rest })),
+      [
+        { type: 'update', matchedCount: 1, modifiedCount: 1 },
+        { type: 'insert' },
+      ],
+    );
+    assert.deepEqual(await accounts(), ['a:50', 'b:50']);
+    assert.deepEqual(inserted, ['b']);
+    const live = await client.receive((message) => message.type === 'realtime:insert');
+    assert.equal(live.document.owner, 'b');
+  });
+
+  it('rolls every operation back when one fails', async () => {
+    const reply = await transaction([
+      { type: 'insert', collection: 'accounts', document: { owner: 'b', balance: 50 } },
+      { type: 'insert', collection: 'accounts', document: { balance: 50 } },
+    ]);
+
+    assert.equal(reply.type, 'realtime:transaction:error');
+    assert.equal(reply.index, 1);
+    assert.equal(reply.code, 'invalid');
+    assert.deepEqual(await accounts(), ['a:100']);
+    await wait();
+    assert.deepEqual(inserted, []);
+    assert.ok(!client.inbox.some(({ type }) => type === 'realtime:insert'));
+  });
+
+  it('authorizes every operation before running any', async () => {
+    const reply = await transaction([
+      { type: 'insert', collection: 'accounts', document: { owner: 'b' } },
+      { type: 'insert', collection: 'audit', document: { owner: 'b' } },
+    ]);
+
+    assert.equal(reply.type, 'realtime:transaction:error');
+    assert.equal(reply.index, 1);
+    assert.equal(reply.code, 'forbidden');
+    assert.deepEqual(await accounts(), ['a:100']);
+  });
+});